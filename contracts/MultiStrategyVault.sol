@@ -7,76 +7,184 @@ import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/utils/Multicall.sol";
+import "./interfaces/IERC7540.sol";
+import "./adapters/ERC4626Adapter.sol";
+import "./adapters/LockedERC4626Adapter.sol";
+import "./WithdrawalQueue.sol";
+import "./libraries/StrategyLogic.sol";
 
 /**
  * @title MultiStrategyVault
  * @notice ERC-4626 compliant vault that routes capital to multiple underlying strategies
- * @dev Implements withdrawal queue for protocol with lockup periods
+ * @dev Implements withdrawal queue for protocol with lockup periods. Queued requests live in a
+ *      WithdrawalQueue contract deployed by the vault, each represented by an ERC-721 ticket.
+ *      Redemptions are either instant (ERC-4626, bounded by idle liquidity) or asynchronous
+ *      (ERC-7540 `requestRedeem`, claimed through `redeem`/`withdraw` once fulfilled).
+ *      Strategy bookkeeping and capital movements live in the linked StrategyLogic library.
+ *      In production MANAGER_ROLE and DEFAULT_ADMIN_ROLE are held by a VaultTimelock, so strategy
+ *      changes are announced before they take effect; GUARDIAN_ROLE keeps an immediate de-risking path
  */
 
-contract MultiStrategyVault is ERC4626, AccessControl, Pausable, ReentrancyGuard {
+contract MultiStrategyVault is
+    ERC4626,
+    AccessControl,
+    Pausable,
+    ReentrancyGuard,
+    Multicall,
+    IERC7540Redeem,
+    IERC7540Operator
+{
     using SafeERC20 for IERC20;
+    using StrategyLogic for StrategyLogic.State;
 
     // ============ State Variables ============
 
     bytes32 public constant MANAGER_ROLE = keccak256("MANAGER_ROLE");
-    uint256 public constant MAX_ALLOCATION_BPS = 6000; // 60% max per protocol
-    uint256 public constant BPS_DENOMINATOR = 10000;
+    bytes32 public constant KEEPER_ROLE = keccak256("KEEPER_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+    uint256 public constant MAX_ALLOCATION_BPS = StrategyLogic.MAX_ALLOCATION_BPS; // Default per-strategy cap (60%)
+    uint256 public constant BPS_DENOMINATOR = StrategyLogic.BPS_DENOMINATOR;
+    uint256 public constant MAX_MANAGEMENT_FEE_BPS = 500; // 5% per year
+    uint256 public constant MAX_PERFORMANCE_FEE_BPS = 3000; // 30% of profit
+    uint256 private constant SECONDS_PER_YEAR = 365 days;
+    uint256 public constant MAX_PROFIT_UNLOCK_PERIOD = 30 days;
+    uint8 public constant MAX_DECIMALS_OFFSET = 18;
+
+    /// @notice Adapter used for strategies added with `isERC4626 = true`
+    address public immutable erc4626Adapter;
+    /// @notice Adapter used for ERC4626 strategies added with `hasLockup = true`
+    address public immutable lockedERC4626Adapter;
+    /// @notice Queue of withdrawal requests and their ERC-721 tickets
+    WithdrawalQueue public immutable withdrawalQueue;
+    /// @notice Extra share decimals over the asset; shares start at 10**decimalsOffset per asset unit
+    uint8 public immutable decimalsOffset;
+
+    StrategyLogic.State internal _strategyState;
+
+    mapping (address => mapping (address => bool)) public isOperator; // controller => operator => approved
+
+    uint256 public totalQueuedWithdrawals; // Assets owed to pending requests
+    uint256 public minIdleBps; // Share of total assets rebalance keeps idle
+    uint256 public driftToleranceBps; // Drift from target, in bps of total assets, rebalance leaves alone
+    uint256 public minRebalanceAmount; // Smallest move rebalance makes
+    uint256 public maxRebalanceAmount; // Most assets withdrawn, and most deposited, per rebalance (0 = unlimited)
+    uint256 public _cachedTotalAssets;
+    uint256 public _lastUpdateTimestamp;
 
-    struct Strategy {
-        address strategyAddress;
-        uint256 allocationBps; // Basis points (100 = 1%)
-        bool isERC4626;
-        bool hasLockup;
-        bool isActive;
-    }
+    address public feeRecipient;
+    uint256 public managementFeeBps; // Annual fee on total assets
+    uint256 public performanceFeeBps; // Fee on gains above the high-water mark
+    uint256 public highWaterMark; // Highest price per share (1e18 = initial price) fees were charged at
+    uint256 public lastFeeAccrual;
 
-    struct WithdrawalRequest {
-        uint256 shares;
-        uint256 assets;
-        uint256 timestamp;
-        bool completed;
-    }
-
-    Strategy[] public strategies;
-    mapping (address => WithdrawalRequest[]) public withdrawalQueue;
+    bool public isShutdown; // Permanent: no more deposits or rebalances, withdrawals stay open
 
-    uint256 public totalQueuedWithdrawals;
-    uint256 public _cachedTotalAssets;
-    uint256 public _lastUpdateTimestamp;
+    uint256 public depositCap; // Most total assets deposits may bring the vault to (0 = no cap)
+    uint256 public accountDepositCap; // Most assets a single account may hold after a deposit (0 = no cap)
+    bool public allowlistEnabled; // Only allowlisted receivers can deposit
+    mapping (address => bool) public isAllowlisted;
 
     // ============ Events ============
-    event StrategyAdded(address indexed strategy, uint256 allocationBps, bool isERC4626, bool hasLockup);
+    // Emitted by StrategyLogic; declared here as well so they are part of the vault's ABI
+    event StrategyAdded(address indexed strategy, address indexed adapter, uint256 allocationBps, bool isERC4626, bool hasLockup);
     event StrategyUpdated(uint256 indexed strategyId, uint256 newAllocationBps);
     event StrategyRemoved(uint256 indexed strategyId);
+    event StrategyEmergencyExit(uint256 indexed strategyId, uint256 withdrawn, uint256 loss);
+    event StrategyMigrated(uint256 indexed strategyId, uint256 indexed newStrategyId, address newStrategy, uint256 assetsMoved);
+    event StrategyRiskParamsUpdated(uint256 indexed strategyId, uint256 maxAllocationBps, uint256 maxDebt, StrategyLogic.RiskTier riskTier);
+    event StrategyReported(uint256 indexed strategyId, uint256 gain, uint256 loss, uint256 currentDebt);
+    event UnlockRequested(uint256 indexed strategyId, uint256 assets, uint256 unlockTime);
+    event UnlockClaimed(uint256 indexed strategyId, uint256 assets);
+    event StrategyHealthParamsUpdated(uint256 indexed strategyId, uint256 maxLossBps, uint256 maxPriceDeviationBps, uint256 maxDrawdownBps, bool autoExit);
+    event StrategyHealthAlert(uint256 indexed strategyId, StrategyLogic.HealthFailure failure, uint256 pricePerShare, bool exited);
+    event StrategyFrozen(uint256 indexed strategyId, bool frozen);
+    event RewardTokenUpdated(address indexed token, address swapAdapter);
+    event RewardsClaimed(uint256 indexed strategyId, address[] tokens, uint256[] amounts);
+    event RewardsSold(address indexed token, address indexed swapAdapter, uint256 amountIn, uint256 amountOut);
+    event Harvested(uint256 proceeds);
+
+    event MinIdleUpdated(uint256 minIdleBps);
     event Rebalanced(uint256 timestamp);
+    event RebalanceLimitsUpdated(uint256 driftToleranceBps, uint256 minRebalanceAmount, uint256 maxRebalanceAmount);
     event WithdrawalQueued(address indexed user, uint256 shares, uint256 assets, uint256 requestId);
-    event WithdrawalCompleted(address indexed user, uint256 requestId, uint256 assets);
+    event WithdrawalCompleted(address indexed receiver, uint256 requestId, uint256 assets);
+    event WithdrawalCancelled(address indexed holder, uint256 requestId, uint256 shares);
     event YieldAccrued(uint256 previousTotal, uint256 newTotal, uint256 yieldAmount);
+    event ProfitUnlockPeriodUpdated(uint256 profitUnlockPeriod);
+    event FeesAccrued(address indexed recipient, uint256 managementFeeShares, uint256 performanceFeeShares, uint256 highWaterMark);
+    event FeesUpdated(uint256 managementFeeBps, uint256 performanceFeeBps);
+    event FeeRecipientUpdated(address indexed feeRecipient);
+    event VaultShutdown(address indexed account);
+    event DepositLimitsUpdated(uint256 depositCap, uint256 accountDepositCap, bool allowlistEnabled);
+    event AllowlistUpdated(address indexed account, bool allowed);
+    event RegistryUpdated(address indexed registry);
+    event AdapterApprovalUpdated(address indexed adapter, bool approved);
 
     // ============ Errors ============
-    error InvalidAllocation();
+    // Raised by StrategyLogic; declared here as well so they are part of the vault's ABI
     error AllocationExceedsMax();
     error TotalAllocationInvalid();
     error StrategyNotActive();
-    error WithdrawalNotReady();
-    error NoWithdrawalRequest();
     error InvalidStrategyIndex();
+    error StrategyNotDrained();
+    error AllocationIncreaseNotAllowed();
+    error InvalidRewardToken();
+    error StrategyNotApproved(address strategy);
+
+    error InvalidAllocation();
+    error InvalidAdapter();
+    error InvalidOperator();
+    error FeeExceedsMax();
+    error InvalidFeeRecipient();
+    error InvalidProfitUnlockPeriod();
+    error VaultIsShutdown();
+    error InvalidDecimalsOffset();
+    error SlippageExceeded();
+    error NotAllowlisted();
+    error DepositCapExceeded();
+    error AccountDepositCapExceeded();
 
     // ============ Constructor ============
+    /**
+     * @param _asset Underlying asset
+     * @param _name Share token name
+     * @param _symbol Share token symbol
+     * @param _offset Extra share decimals (virtual shares); each step makes a donation attack
+     *        on the share price ten times more expensive
+    */
+
     constructor(
         IERC20 _asset,
         string memory _name,
-        string memory _symbol
+        string memory _symbol,
+        uint8 _offset
     ) ERC4626(_asset) ERC20(_name, _symbol) {
+        if (_offset > MAX_DECIMALS_OFFSET) revert InvalidDecimalsOffset();
+        decimalsOffset = _offset;
+
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _grantRole(MANAGER_ROLE, msg.sender);
+
+        feeRecipient = msg.sender;
+        lastFeeAccrual = block.timestamp;
+        _strategyState.profitUnlockPeriod = 7 days;
+
+        erc4626Adapter = address(new ERC4626Adapter());
+        lockedERC4626Adapter = address(new LockedERC4626Adapter());
+        withdrawalQueue = new WithdrawalQueue(
+            _asset,
+            string.concat(_name, " Withdrawal Ticket"),
+            string.concat(_symbol, "-WT")
+        );
     }
 
     // ============ Strategy Management ============
 
     /**
      * @notice Adds a new strategy to the vault
+     * @dev Non-ERC4626 strategies must be added through `addStrategyWithAdapter`
      * @param strategyAddress Address of the strategy contract
      * @param allocationBps Allocation in basis points
      * @param isERC4626 Whether the strategy is ERC4626 compliant
@@ -89,110 +197,387 @@ contract MultiStrategyVault is ERC4626, AccessControl, Pausable, ReentrancyGuard
         bool isERC4626,
         bool hasLockup
     ) external onlyRole(MANAGER_ROLE) {
-        if (allocationBps > MAX_ALLOCATION_BPS) revert AllocationExceedsMax();
-        if (strategyAddress == address(0)) revert InvalidAllocation();
-
-        // Verify total allocation doesn't exceed 100%
-        uint256 totalAllocation = allocationBps;
-        for (uint256 i = 0; i < strategies.length; i++) {
-            if (strategies[i].isActive) {
-                totalAllocation += strategies[i].allocationBps;
-            }
-        }
-        if (totalAllocation > BPS_DENOMINATOR) revert TotalAllocationInvalid();
+        if (!isERC4626) revert InvalidAdapter();
+        _strategyState.addStrategy(
+            strategyAddress,
+            hasLockup ? lockedERC4626Adapter : erc4626Adapter,
+            allocationBps,
+            true,
+            hasLockup
+        );
+    }
 
-        strategies.push(Strategy({
-            strategyAddress: strategyAddress,
-            allocationBps: allocationBps,
-            isERC4626: isERC4626,
-            hasLockup: hasLockup,
-            isActive: true
-        }));
+    /**
+     * @notice Adds a new strategy that is accessed through a custom adapter
+     * @dev The adapter must be the one the registry approved for the strategy, or for vaults
+     *      without a registry one approved with `setAdapterApproval`
+     * @param strategyAddress Address of the strategy contract
+     * @param adapter IStrategyAdapter implementation for the strategy
+     * @param allocationBps Allocation in basis points
+     * @param hasLockup Whether the strategy has a lockup period (adapter must implement ILockupStrategyAdapter)
+    */
 
-        emit StrategyAdded(strategyAddress, allocationBps, isERC4626, hasLockup);
+    function addStrategyWithAdapter(
+        address strategyAddress,
+        address adapter,
+        uint256 allocationBps,
+        bool hasLockup
+    ) external onlyRole(MANAGER_ROLE) {
+        if (adapter.code.length == 0) revert InvalidAdapter();
+        _strategyState.addStrategy(
+            strategyAddress,
+            adapter,
+            allocationBps,
+            adapter == erc4626Adapter || adapter == lockedERC4626Adapter,
+            hasLockup
+        );
+    }
+
+    /**
+     * @notice Bind the vault to a VaultRegistry: strategies added from then on must be approved in it
+     * @dev Strategies already in the vault are not affected; `address(0)` unbinds the vault
+    */
+
+    function setRegistry(address _registry) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _strategyState.registry = _registry;
+
+        emit RegistryUpdated(_registry);
+    }
+
+    /**
+     * @notice Registry whose whitelist new strategies must be on, `address(0)` if none
+    */
+
+    function registry() external view returns (address) {
+        return _strategyState.registry;
+    }
+
+    /**
+     * @notice Approve or unapprove a custom adapter for vaults without a registry
+     * @dev Approved adapters are delegatecalled with the vault's storage and can move all of its
+     *      assets; the admin is the timelock in production, so approvals are delayed and vetoable
+    */
+
+    function setAdapterApproval(address adapter, bool approved) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _strategyState.approvedAdapters[adapter] = approved;
+
+        emit AdapterApprovalUpdated(adapter, approved);
+    }
+
+    function isAdapterApproved(address adapter) external view returns (bool) {
+        return _strategyState.approvedAdapters[adapter];
     }
 
     /**
      * @notice Update strategy allocation
+     * @dev Guardians may only lower an allocation; raising one goes through the manager
     */
 
-   function updateStrategyAllocation(uint256 strategyId, uint256 newAllocationBps) external onlyRole(MANAGER_ROLE) {
-    if (strategyId >= strategies.length) revert InvalidStrategyIndex();
-    if (newAllocationBps > MAX_ALLOCATION_BPS) revert AllocationExceedsMax();
+    function updateStrategyAllocation(uint256 strategyId, uint256 newAllocationBps) external {
+        bool isManager = hasRole(MANAGER_ROLE, msg.sender);
+        if (!isManager) _checkRole(GUARDIAN_ROLE);
 
-    Strategy storage strategy = strategies[strategyId];
-    if (!strategy.isActive) revert StrategyNotActive();
+        _strategyState.updateAllocation(strategyId, newAllocationBps, !isManager);
+    }
 
-    // Verify total allocation
-    uint256 totalAllocation = newAllocationBps;
-    for (uint256 i = 0; i < strategies.length;  i++) {
-        if (i != strategyId && strategies[i].isActive) {
-            totalAllocation += strategies[i].allocationBps;
-        }        
+    /**
+     * @notice Set a strategy's risk limits
+     * @dev New strategies start at MAX_ALLOCATION_BPS, no debt cap and `RiskTier.Unrated`.
+     *      A lower debt cap is enforced on the next rebalance
+     * @param strategyId Strategy to configure
+     * @param maxAllocationBps Cap on the strategy's allocation, at least its current allocation
+     * @param maxDebt Cap on the assets lent to the strategy
+     * @param riskTier Risk classification of the strategy
+    */
+
+    function setStrategyRiskParams(
+        uint256 strategyId,
+        uint256 maxAllocationBps,
+        uint256 maxDebt,
+        StrategyLogic.RiskTier riskTier
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _strategyState.setRiskParams(strategyId, maxAllocationBps, maxDebt, riskTier);
     }
-    if (totalAllocation > BPS_DENOMINATOR) revert TotalAllocationInvalid();
 
-    strategy.allocationBps = newAllocationBps;
-    emit StrategyUpdated(strategyId, newAllocationBps);
-   }
+    /**
+     * @notice Set the thresholds of a strategy's health checks
+     * @dev Checked on every report and rebalance. A failing strategy is frozen (no new deposits)
+     *      and `StrategyHealthAlert` is emitted; with `autoExit` its allocation is also zeroed and
+     *      its position unwound. A threshold of 0 disables that check
+     * @param strategyId Strategy to configure
+     * @param maxLossBps Largest loss per report, in bps of the strategy's debt
+     * @param maxPriceDeviationBps Largest price-per-share move since the last check
+     * @param maxDrawdownBps Largest price-per-share drop from its peak
+     * @param autoExit Whether a failed check also exits the strategy
+    */
 
-   /**
-    * @notice Remove a strategy (sets to inactive)
-   */
-    function removeStrategy(uint256 strategyId) external onlyRole(MANAGER_ROLE) {
-        if (strategyId >= strategies.length) revert InvalidStrategyIndex();
+    function setStrategyHealthParams(
+        uint256 strategyId,
+        uint256 maxLossBps,
+        uint256 maxPriceDeviationBps,
+        uint256 maxDrawdownBps,
+        bool autoExit
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _strategyState.setHealthParams(strategyId, maxLossBps, maxPriceDeviationBps, maxDrawdownBps, autoExit);
+    }
 
-        strategies[strategyId].isActive = false;
-        emit StrategyRemoved(strategyId);
+    /**
+     * @notice Freeze or unfreeze deposits into a strategy
+     * @dev Guardians may freeze; unfreezing is up to the admin and resets the price references
+    */
+
+    function setStrategyFrozen(uint256 strategyId, bool frozen) external {
+        if (frozen) _checkGuardian();
+        else _checkRole(DEFAULT_ADMIN_ROLE);
+
+        _strategyState.setFrozen(strategyId, frozen);
+    }
+
+    /**
+     * @notice Set the share of total assets `rebalance` keeps idle for withdrawals
+    */
+
+    function setMinIdleBps(uint256 _minIdleBps) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_minIdleBps > BPS_DENOMINATOR) revert InvalidAllocation();
+
+        minIdleBps = _minIdleBps;
+        emit MinIdleUpdated(_minIdleBps);
+    }
+
+    /**
+     * @notice Retire a strategy: drain it back to idle, then deactivate it
+     * @dev The strategy is reported first; lockup strategies are drained into a pending unlock
+     *      that keeps counting towards `totalAssets` until claimed. Reverts with
+     *      `StrategyNotDrained` if a strategy without lockup cannot be withdrawn in full.
+     *      Retiring only de-risks the vault, so guardians can call it as well as the manager
+    */
+
+    function removeStrategy(uint256 strategyId) external nonReentrant {
+        if (!hasRole(GUARDIAN_ROLE, msg.sender)) _checkRole(MANAGER_ROLE);
+
+        _accrueFees();
+        _strategyState.removeStrategy(strategyId);
+        _updateTotalAssetsCache();
+    }
+
+    /**
+     * @notice Move a strategy's position to a replacement behind the same adapter
+     * @dev The old strategy is retired like in `removeStrategy`; the replacement gets its
+     *      allocation and risk parameters and the assets that came back right away
+     * @param strategyId Strategy to migrate
+     * @param newStrategy Address of the replacement strategy
+     * @return newStrategyId Id of the replacement strategy
+    */
+
+    function migrateStrategy(uint256 strategyId, address newStrategy)
+        external
+        onlyRole(MANAGER_ROLE)
+        nonReentrant
+        whenNotPaused
+        returns (uint256 newStrategyId)
+    {
+        if (isShutdown) revert VaultIsShutdown();
+
+        _accrueFees();
+        newStrategyId = _strategyState.migrateStrategy(strategyId, newStrategy);
+        _updateTotalAssetsCache();
     }
 
     // ============ Rebalancing ============
 
     /**
-     * @notice Rebalance assets across strategies according to allocations
+     * @notice Rebalance all active strategies according to allocations
+     * @dev Each strategy is moved towards its allocation, capped at its `maxDebt`, and at least
+     *      `minIdleBps` of total assets stays idle. Strategies within `driftToleranceBps` of
+     *      their target and moves below `minRebalanceAmount` are skipped, and at most
+     *      `maxRebalanceAmount` is withdrawn and deposited per call. Lockup strategies are unwound
+     *      through their withdrawal queue and receive no new deposits while an unlock is pending,
+     *      since depositing would restart their lockup. Targets count profit that is still locked,
+     *      which is deployed like any other asset
     */
 
-   function rebalance() external onlyRole(MANAGER_ROLE) nonReentrant whenNotPaused {
-       uint256 vaultTotalAssets = totalAssets();
-       uint256 availableAssets = IERC20(asset()).balanceOf(address(this));
+    function rebalance() external nonReentrant whenNotPaused {
+        _rebalance(_strategyState.activeIds);
+    }
 
-       // Withdraw from strategies if needed
-        for (uint256 i = 0; i < strategies.length; i++) {
-            Strategy memory strategy = strategies[i];
-            if (!strategy.isActive) continue;
+    /**
+     * @notice Rebalance a subset of the active strategies
+     * @param strategyIds Active strategies to rebalance, without duplicates
+    */
 
-            uint256 targetAmount = (vaultTotalAssets * strategy.allocationBps) / BPS_DENOMINATOR;
-            uint256 currentAmount = _getStrategyBalance(i);
+    function rebalanceStrategies(uint256[] calldata strategyIds) external nonReentrant whenNotPaused {
+        _rebalance(strategyIds);
+    }
 
-            if (currentAmount > targetAmount) {
-                uint256 withdrawAmount = currentAmount - targetAmount;
-                _withdrawFromStrategy(i, withdrawAmount);
-            }
-        }
+    /**
+     * @notice Moves `rebalance` would make right now
+     * @dev Assumes no strategy unlock becomes claimable in between; `amount` is positive for
+     *      deposits and negative for withdrawals
+    */
 
-        // Update available assets after withdrawals
-        availableAssets = IERC20(asset()).balanceOf(address(this));
-
-        // Deposit to strategies
-        for (uint256 i = 0; i < strategies.length; i++) {
-            Strategy memory strategy = strategies[i];
-            if (!strategy.isActive) continue;
-
-            uint256 targetAmount = (vaultTotalAssets * strategy.allocationBps) / BPS_DENOMINATOR;
-            uint256 currentAmount = _getStrategyBalance(i);
-
-            if (currentAmount < targetAmount && availableAssets > 0) {
-                uint256 depositAmount = targetAmount - currentAmount;
-                if (depositAmount > availableAssets) {
-                    depositAmount = availableAssets;
-                } 
-                _depositToStrategy(i, depositAmount);
-                availableAssets -= depositAmount;
-            }
-        }
+    function previewRebalance() external view returns (StrategyLogic.Move[] memory) {
+        uint256 vaultTotalAssets = totalAssets() + _strategyState.currentLockedProfit();
+        return _strategyState.planRebalance(
+            _strategyState.activeIds,
+            IERC20(asset()).balanceOf(address(this)),
+            _rebalanceReserve(vaultTotalAssets),
+            vaultTotalAssets,
+            _rebalanceLimits()
+        );
+    }
+
+    /**
+     * @notice Set the drift tolerance and move size limits of `rebalance`
+     * @param _driftToleranceBps Drift from target, in bps of total assets, that is left alone
+     * @param _minRebalanceAmount Smallest deposit or withdrawal worth making
+     * @param _maxRebalanceAmount Most assets withdrawn, and most deposited, per call (0 = unlimited)
+    */
 
-         emit Rebalanced(block.timestamp);            
-   }
+    function setRebalanceLimits(
+        uint256 _driftToleranceBps,
+        uint256 _minRebalanceAmount,
+        uint256 _maxRebalanceAmount
+    ) external onlyRole(MANAGER_ROLE) {
+        if (_driftToleranceBps > BPS_DENOMINATOR) revert InvalidAllocation();
+
+        driftToleranceBps = _driftToleranceBps;
+        minRebalanceAmount = _minRebalanceAmount;
+        maxRebalanceAmount = _maxRebalanceAmount;
+
+        emit RebalanceLimitsUpdated(_driftToleranceBps, _minRebalanceAmount, _maxRebalanceAmount);
+    }
+
+    /**
+     * @notice Run a rebalance of `strategyIds`; keepers and managers only
+    */
+
+    function _rebalance(uint256[] memory strategyIds) internal {
+        if (!hasRole(KEEPER_ROLE, msg.sender)) _checkRole(MANAGER_ROLE);
+        if (isShutdown) revert VaultIsShutdown();
+
+        _strategyState.claimUnlocks();
+        _accrueFees();
+
+        uint256 vaultTotalAssets = totalAssets() + _strategyState.currentLockedProfit();
+        _strategyState.rebalance(
+            IERC20(asset()),
+            strategyIds,
+            _rebalanceReserve(vaultTotalAssets),
+            vaultTotalAssets,
+            _rebalanceLimits()
+        );
+        _updateTotalAssetsCache();
+
+        emit Rebalanced(block.timestamp);
+    }
+
+    /**
+     * @notice Idle assets rebalance keeps: what queued requests are owed plus the idle buffer
+    */
+
+    function _rebalanceReserve(uint256 vaultTotalAssets) internal view returns (uint256) {
+        return totalQueuedWithdrawals + (vaultTotalAssets * minIdleBps) / BPS_DENOMINATOR;
+    }
+
+    function _rebalanceLimits() internal view returns (StrategyLogic.RebalanceLimits memory) {
+        return StrategyLogic.RebalanceLimits(driftToleranceBps, minRebalanceAmount, maxRebalanceAmount);
+    }
+
+   // ============ Reporting ============
+
+    /**
+     * @notice Compare a strategy's reported value with its debt and record the gain or loss
+     * @dev This is the only place strategy values are read into the vault's accounting. Gains
+     *      are locked and released into the share price over `profitUnlockPeriod`, so they cannot
+     *      be captured by depositing right before a report. Losses are recognized at once, absorbed
+     *      first by profit that is still locked. Callable by keepers as well as the manager
+     * @param strategyId Strategy to report
+     * @return gain Profit recorded
+     * @return loss Loss recorded
+    */
+
+    function processReport(uint256 strategyId)
+        external
+        nonReentrant
+        returns (uint256 gain, uint256 loss)
+    {
+        if (!hasRole(KEEPER_ROLE, msg.sender)) _checkRole(MANAGER_ROLE);
+
+        _accrueFees();
+        (gain, loss) = _strategyState.report(strategyId);
+        _updateTotalAssetsCache();
+    }
+
+    /**
+     * @notice Set the period over which reported profit is released
+     * @dev Profit still locked is re-locked over the new period from now
+    */
+
+    function setProfitUnlockPeriod(uint256 _profitUnlockPeriod) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_profitUnlockPeriod > MAX_PROFIT_UNLOCK_PERIOD) revert InvalidProfitUnlockPeriod();
+
+        _strategyState.lockProfit(0);
+        _strategyState.profitUnlockPeriod = _profitUnlockPeriod;
+
+        emit ProfitUnlockPeriodUpdated(_profitUnlockPeriod);
+    }
+
+    /**
+     * @notice Period over which reported profit is released
+    */
+
+    function profitUnlockPeriod() external view returns (uint256) {
+        return _strategyState.profitUnlockPeriod;
+    }
+
+    /**
+     * @notice Profit that has not been released into the share price yet
+    */
+
+    function currentLockedProfit() external view returns (uint256) {
+        return _strategyState.currentLockedProfit();
+    }
+
+    // ============ Rewards ============
+
+    /**
+     * @notice Claim reward tokens from strategies, sell them for the asset and redeposit the proceeds
+     * @dev Rewards are claimed through each strategy's IRewardStrategyAdapter, then the vault's whole
+     *      balance of every token in `tokens` is sold through the swap adapter registered for it.
+     *      Proceeds are locked like reported profit and deployed by a rebalance of all active
+     *      strategies, so harvesting is unavailable while paused or shut down. Keepers and managers only
+     * @param strategyIds Active strategies to claim rewards from
+     * @param tokens Reward tokens to sell, each registered with `setRewardToken`
+     * @param minAmountsOut Fewest assets the sale of each token must return
+     * @return proceeds Assets the harvest brought in
+    */
+
+    function harvest(
+        uint256[] calldata strategyIds,
+        address[] calldata tokens,
+        uint256[] calldata minAmountsOut
+    ) external nonReentrant whenNotPaused returns (uint256 proceeds) {
+        if (!hasRole(KEEPER_ROLE, msg.sender)) _checkRole(MANAGER_ROLE);
+
+        proceeds = _strategyState.harvest(IERC20(asset()), strategyIds, tokens, minAmountsOut);
+        _rebalance(_strategyState.activeIds);
+    }
+
+    /**
+     * @notice Register the swap adapter that sells a reward token, `address(0)` to unregister it
+    */
+
+    function setRewardToken(address token, address swapAdapter) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _strategyState.setRewardToken(IERC20(asset()), token, swapAdapter);
+    }
+
+    /**
+     * @notice Swap adapter selling `token`, `address(0)` if it is not a reward token
+    */
+
+    function rewardSwapAdapter(address token) external view returns (address) {
+        return _strategyState.swapAdapters[token];
+    }
 
    // ============ Deposit/Withdraw Functions ============
 
@@ -207,6 +592,8 @@ contract MultiStrategyVault is ERC4626, AccessControl, Pausable, ReentrancyGuard
         whenNotPaused
         returns (uint256 shares)
     {
+        _accrueFees();
+        _checkDepositLimits(receiver, assets);
         shares = super.deposit(assets, receiver);
         _updateTotalAssetsCache();
     }
@@ -222,152 +609,547 @@ contract MultiStrategyVault is ERC4626, AccessControl, Pausable, ReentrancyGuard
         whenNotPaused
         returns (uint256 assets)
     {
+        _accrueFees();
+        _checkDepositLimits(receiver, previewMint(shares));
         assets = super.mint(shares, receiver);
         _updateTotalAssetsCache();
     }
 
     /**
-     * @notice Withdraw assets by burning shares
-     * @dev Routes to instant withdrawal or queued withdrawal based on liquidity
+     * @notice Deposit assets, reverting if fewer than `minShares` shares are minted
+     * @dev Guards small deposits against the share price being moved right before them
+    */
+
+    function depositWithMinShares(uint256 assets, address receiver, uint256 minShares)
+        external
+        returns (uint256 shares)
+    {
+        shares = deposit(assets, receiver);
+        if (shares < minShares) revert SlippageExceeded();
+    }
+
+    /**
+     * @notice Deposit assets approved through an EIP-2612 permit signature
+     * @dev A permit that fails (e.g. already used by a front-runner) is ignored, so the deposit
+     *      still goes through when the allowance is in place
+    */
+
+    function depositWithPermit(
+        uint256 assets,
+        address receiver,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external returns (uint256 shares) {
+        try IERC20Permit(asset()).permit(msg.sender, address(this), assets, deadline, v, r, s) {} catch {}
+        shares = deposit(assets, receiver);
+    }
+
+    /**
+     * @notice Withdraw assets by burning shares, or claim a fulfilled redeem request
+     * @dev A call by `owner` or one of its operators for no more than it can claim is an ERC-7540
+     *      claim with `owner` as the controller; any other call, including one spending a share
+     *      allowance, is an instant withdrawal bounded by `maxWithdraw`. Stays open while the
+     *      vault is paused or shut down
     */
 
     function withdraw(uint256 assets, address receiver, address owner)
         public
         override
         nonReentrant
-        whenNotPaused
         returns (uint256 shares)
     {
-        uint256 availableLiquidity = IERC20(asset()).balanceOf(address(this));
-
-        if (availableLiquidity >= assets) {
-            // Instant withdrawal
+        if (_isClaim(owner, assets, withdrawalQueue.claimableAssets(owner))) {
+            (shares, ) = withdrawalQueue.claim(owner, receiver, assets, false);
+            emit Withdraw(msg.sender, receiver, owner, assets, shares);
+        } else {
+            _accrueFees();
             shares = super.withdraw(assets, receiver, owner);
             _updateTotalAssetsCache();
-        } else {
-            // Queue withdrawal
-            shares = previewWithdraw(assets);
-            _queueWithdrawal(owner, shares, assets);
-        } 
-        return shares; 
+        }
     }
 
     /**
-     * @notice Redeem shares for assets
+     * @notice Redeem shares for assets, or claim a fulfilled redeem request
+     * @dev Same rule as `withdraw`, against the owner's claimable shares
     */
 
     function redeem(uint256 shares, address receiver, address owner)
         public
         override
         nonReentrant
-        whenNotPaused
         returns (uint256 assets)
     {
-        assets = previewRedeem(shares);
-        uint256 availableLiquidity = IERC20(asset()).balanceOf(address(this));
-
-        if (availableLiquidity >= assets) {
-            // Instant withdrawal
+        if (_isClaim(owner, shares, withdrawalQueue.claimableShares(owner))) {
+            (, assets) = withdrawalQueue.claim(owner, receiver, shares, true);
+            emit Withdraw(msg.sender, receiver, owner, assets, shares);
+        } else {
+            _accrueFees();
             assets = super.redeem(shares, receiver, owner);
             _updateTotalAssetsCache();
-        } else {
-            // Queue withdrawal
-            _queueWithdrawal(owner, shares, assets);
         }
+    }
 
-        return assets;
+    /**
+     * @notice Redeem shares, reverting if less than `minAssets` assets are paid out
+    */
+
+    function redeemWithMinAssets(uint256 shares, address receiver, address owner, uint256 minAssets)
+        external
+        returns (uint256 assets)
+    {
+        assets = redeem(shares, receiver, owner);
+        if (assets < minAssets) revert SlippageExceeded();
     }
 
-    // ============ Withdrawal Queue Functions ============
+    /**
+     * @notice Assets `receiver` can deposit right now
+     * @dev Nothing while paused or shut down, or for receivers off the allowlist while it is
+     *      enabled; otherwise bounded by the room left under the vault and account caps
+    */
+
+    function maxDeposit(address receiver) public view override returns (uint256) {
+        if (paused() || isShutdown) return 0;
+        if (allowlistEnabled && !isAllowlisted[receiver]) return 0;
+
+        return Math.min(_vaultRoom(), _accountRoom(receiver));
+    }
 
     /**
-     * @notice Queue a withdrawal request
+     * @notice Shares `receiver` can mint right now
+     * @dev Same rules as `maxDeposit`
+    */
+
+    function maxMint(address receiver) public view override returns (uint256) {
+        uint256 maxAssets = maxDeposit(receiver);
+        if (maxAssets == type(uint256).max) return maxAssets;
+
+        return _convertToShares(maxAssets, Math.Rounding.Floor);
+    }
+
+    /**
+     * @notice Assets `owner` can withdraw right now
+     * @dev The larger of the assets claimable from fulfilled requests and the owner's assets
+     *      capped by idle liquidity not owed to the queue, matching how `withdraw` picks its path
+    */
+
+    function maxWithdraw(address owner) public view override returns (uint256) {
+        uint256 ownerAssets = super.maxWithdraw(owner);
+        uint256 available = _availableLiquidity();
+        return Math.max(withdrawalQueue.claimableAssets(owner), Math.min(ownerAssets, available));
+    }
+
+    /**
+     * @notice Shares `owner` can redeem right now
+     * @dev Same rules as `maxWithdraw`
     */
 
-    function _queueWithdrawal(address user, uint256 shares, uint256 assets) internal {
-        if (msg.sender != user) {
-            uint256 allowed = allowance(user, msg.sender);
-            if (allowed != type(uint256).max) {
-                _approve(user, msg.sender, allowed - shares);
-            }
+    function maxRedeem(address owner) public view override returns (uint256) {
+        uint256 ownerShares = super.maxRedeem(owner);
+        uint256 available = _convertToShares(_availableLiquidity(), Math.Rounding.Floor);
+        return Math.max(withdrawalQueue.claimableShares(owner), Math.min(ownerShares, available));
+    }
+
+    // ============ Asynchronous Redemption (ERC-7540) ============
+
+    /**
+     * @notice Request an asynchronous redemption
+     * @dev Shares are burned and the assets fixed at the current price; the withdrawal ticket
+     *      (token id = request id) is minted to `controller`. Stays open while the vault is
+     *      paused or shut down
+     * @param shares Shares to redeem
+     * @param controller Account that controls (and holds the ticket of) the request
+     * @param owner Owner of the shares
+     * @return requestId Id of the request
+    */
+
+    function requestRedeem(uint256 shares, address controller, address owner)
+        external
+        nonReentrant
+        returns (uint256 requestId)
+    {
+        if (msg.sender != owner && !isOperator[owner][msg.sender]) {
+            _spendAllowance(owner, msg.sender, shares);
         }
 
-        _burn(user, shares);
+        _accrueFees();
+        requestId = _queueWithdrawal(owner, controller, shares, previewRedeem(shares));
+
+        emit RedeemRequest(controller, owner, requestId, msg.sender, shares);
+    }
+
+    /**
+     * @notice Shares of a request that are still waiting to be fulfilled
+    */
+
+    function pendingRedeemRequest(uint256 requestId, address controller) external view returns (uint256) {
+        return withdrawalQueue.sharesOf(requestId, controller, WithdrawalQueue.Status.Pending);
+    }
+
+    /**
+     * @notice Shares of a request that can be claimed through `redeem` or `withdraw`
+    */
+
+    function claimableRedeemRequest(uint256 requestId, address controller) external view returns (uint256) {
+        return withdrawalQueue.sharesOf(requestId, controller, WithdrawalQueue.Status.Claimable);
+    }
+
+    /**
+     * @notice Approve or revoke an operator for requests and claims on behalf of the caller
+    */
 
-        withdrawalQueue[user].push(WithdrawalRequest({
-            shares: shares,
-            assets: assets,
-            timestamp: block.timestamp,
-            completed: false
-        }));
+    function setOperator(address operator, bool approved) external returns (bool) {
+        if (operator == msg.sender) revert InvalidOperator();
 
+        isOperator[msg.sender][operator] = approved;
+        emit OperatorSet(msg.sender, operator, approved);
+        return true;
+    }
+
+    /**
+     * @notice ERC-7575 share token, which is the vault itself
+    */
+
+    function share() external view returns (address) {
+        return address(this);
+    }
+
+    /**
+     * @notice Whether a withdraw or redeem of `amount` for `controller` claims its requests
+     * @dev Only the controller and its operators claim, and only up to `claimable`; third parties
+     *      spending an allowance (routers, gateways) always exit instantly
+    */
+
+    function _isClaim(address controller, uint256 amount, uint256 claimable) internal view returns (bool) {
+        return claimable > 0 && amount <= claimable
+            && (msg.sender == controller || isOperator[controller][msg.sender]);
+    }
+
+    function _checkController(address controller) internal view {
+        if (msg.sender != controller && !isOperator[controller][msg.sender]) revert InvalidOperator();
+    }
+
+    // ============ Withdrawal Queue Functions ============
+
+    /**
+     * @notice Queue a withdrawal request
+     * @dev Shares are burned now and the assets are fixed at the current price. A withdrawal
+     *      ticket is minted to the receiver; requests are fulfilled strictly in queue order
+    */
+
+    function _queueWithdrawal(
+        address user,
+        address receiver,
+        uint256 shares,
+        uint256 assets
+    ) internal returns (uint256 requestId) {
+        _burn(user, shares);
         totalQueuedWithdrawals += assets;
 
-        emit WithdrawalQueued(user, shares, assets, withdrawalQueue[user].length - 1);
+        requestId = withdrawalQueue.enqueue(user, receiver, shares, assets);
+
+        emit WithdrawalQueued(user, shares, assets, requestId);
+    }
+
+    /**
+     * @notice Fulfil queued withdrawals in order, freeing liquidity from strategies as needed
+     * @dev Permissionless so that queued users never depend on a privileged caller. Assets of
+     *      fulfilled requests move to the withdrawal queue, where ticket holders complete them
+     * @param maxCount Maximum number of requests to fulfil
+     * @return processed Number of requests fulfilled
+    */
+
+    function processWithdrawals(uint256 maxCount) external nonReentrant returns (uint256 processed) {
+        _strategyState.claimUnlocks();
+
+        uint256 demand = withdrawalQueue.pendingDemand(maxCount);
+        uint256 idle = IERC20(asset()).balanceOf(address(this));
+        if (demand > idle) {
+            _strategyState.freeLiquidity(demand - idle);
+        }
+
+        processed = _fulfilWithdrawals(maxCount);
+        _updateTotalAssetsCache();
     }
 
     /**
-     * @notice Complete a queued withdrawal
+     * @notice Complete a withdrawal and pay the ticket holder
+     * @dev A pending request at the head of the queue is fulfilled from idle liquidity first
+     * @param requestId Id of the request (and of its withdrawal ticket)
     */
+
     function completeWithdrawal(uint256 requestId) external nonReentrant {
-        WithdrawalRequest[] storage requests = withdrawalQueue[msg.sender];
-        if (requestId >= requests.length) revert NoWithdrawalRequest();
+        if (withdrawalQueue.statusOf(requestId) == WithdrawalQueue.Status.Pending) {
+            _fulfilWithdrawals(1);
+        }
 
-        WithdrawalRequest storage request = requests[requestId];
-        if (request.completed) revert WithdrawalNotReady();
+        (address holder, uint256 assets) = withdrawalQueue.complete(requestId, msg.sender);
 
-        uint256 availableAssets = IERC20(asset()).balanceOf(address(this));
-        if (availableAssets < request.assets) revert WithdrawalNotReady();
+        emit WithdrawalCompleted(holder, requestId, assets);
+    }
+
+    /**
+     * @notice Cancel a pending withdrawal and get shares back at the current price
+     * @dev Shares worth the request's assets are minted to the ticket holder
+     * @param requestId Id of the request (and of its withdrawal ticket)
+     * @return shares Shares minted to the ticket holder
+    */
+
+    function cancelWithdrawal(uint256 requestId) external nonReentrant whenNotPaused returns (uint256 shares) {
+        (address holder, uint256 assets) = withdrawalQueue.cancel(requestId, msg.sender);
+        _accrueFees();
 
-        request.completed = true;
-        totalQueuedWithdrawals -= request.assets;
+        // Price the shares before the owed assets flow back into totalAssets
+        shares = convertToShares(assets);
+        totalQueuedWithdrawals -= assets;
 
-        IERC20(asset()).safeTransfer(msg.sender, request.assets);
+        _mint(holder, shares);
+        _updateTotalAssetsCache();
 
-        emit WithdrawalCompleted(msg.sender, requestId, request.assets);
+        emit WithdrawalCancelled(holder, requestId, shares);
     }
 
     /**
-     * @notice Get pending withdrawal requests for a user
+     * @notice Move idle assets for the next pending requests to the withdrawal queue
     */
 
-    function getPendingWithdrawals(address user) external view returns (WithdrawalRequest[] memory) {
-        return withdrawalQueue[user];
+    function _fulfilWithdrawals(uint256 maxCount) internal returns (uint256 processed) {
+        uint256 idle = IERC20(asset()).balanceOf(address(this));
+
+        uint256 assets;
+        (processed, assets) = withdrawalQueue.fulfil(maxCount, idle);
+
+        if (assets > 0) {
+            totalQueuedWithdrawals -= assets;
+            IERC20(asset()).safeTransfer(address(withdrawalQueue), assets);
+        }
     }
 
-    // ============ Asset Accounting ============
+    /**
+     * @notice Get all withdrawal requests queued by a user
+    */
+
+    function getPendingWithdrawals(address user) external view returns (WithdrawalQueue.Request[] memory) {
+        return withdrawalQueue.getRequestsByOwner(user);
+    }
 
     /**
-     * @notice Calculate total assets under management
-     * @dev Sum vault balance +  all strategy balances
+     * @notice Claim matured unlocks from lockup strategies back into the vault
+     * @dev Permissionless: only moves funds the vault already requested back to idle
     */
 
-    function totalAssets() public view override returns (uint256) {
-        uint256 total = IERC20(asset()).balanceOf(address(this));
+    function claimUnlocks() external nonReentrant {
+        _strategyState.claimUnlocks();
+        _updateTotalAssetsCache();
+    }
+
+    // ============ Deposit Limits ============
+
+    /**
+     * @notice Set the vault-wide and per-account deposit caps and the allowlist mode
+     * @param _depositCap Most total assets deposits may bring the vault to (0 = no cap)
+     * @param _accountDepositCap Most assets one account may hold after a deposit (0 = no cap)
+     * @param _allowlistEnabled Whether only allowlisted receivers can deposit
+    */
+
+    function setDepositLimits(
+        uint256 _depositCap,
+        uint256 _accountDepositCap,
+        bool _allowlistEnabled
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        depositCap = _depositCap;
+        accountDepositCap = _accountDepositCap;
+        allowlistEnabled = _allowlistEnabled;
+
+        emit DepositLimitsUpdated(_depositCap, _accountDepositCap, _allowlistEnabled);
+    }
+
+    /**
+     * @notice Add accounts to, or remove them from, the deposit allowlist
+    */
+
+    function setAllowlist(address[] calldata accounts, bool allowed) external onlyRole(MANAGER_ROLE) {
+        for (uint256 i = 0; i < accounts.length; i++) {
+            isAllowlisted[accounts[i]] = allowed;
+            emit AllowlistUpdated(accounts[i], allowed);
+        }
+    }
 
-        for (uint256 i = 0; i < strategies.length; i++) {
-            if (strategies[i].isActive) {
-                total += _getStrategyBalance(i);
-            }
+    /**
+     * @notice Revert with the limit a deposit of `assets` for `receiver` would break
+    */
+
+    function _checkDepositLimits(address receiver, uint256 assets) internal view {
+        if (allowlistEnabled && !isAllowlisted[receiver]) revert NotAllowlisted();
+        if (assets > _vaultRoom()) revert DepositCapExceeded();
+        if (assets > _accountRoom(receiver)) revert AccountDepositCapExceeded();
+    }
+
+    function _vaultRoom() internal view returns (uint256) {
+        if (depositCap == 0) return type(uint256).max;
+
+        uint256 assets = totalAssets();
+        return assets < depositCap ? depositCap - assets : 0;
+    }
+
+    function _accountRoom(address account) internal view returns (uint256) {
+        if (accountDepositCap == 0) return type(uint256).max;
+
+        uint256 held = convertToAssets(balanceOf(account));
+        return held < accountDepositCap ? accountDepositCap - held : 0;
+    }
+
+    // ============ Fees ============
+
+    /**
+     * @notice Set the management and performance fees
+     * @dev Fees due at the old rates are accrued first
+     * @param _managementFeeBps Annual management fee, at most MAX_MANAGEMENT_FEE_BPS
+     * @param _performanceFeeBps Performance fee, at most MAX_PERFORMANCE_FEE_BPS
+    */
+
+    function setFees(uint256 _managementFeeBps, uint256 _performanceFeeBps) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_managementFeeBps > MAX_MANAGEMENT_FEE_BPS || _performanceFeeBps > MAX_PERFORMANCE_FEE_BPS) {
+            revert FeeExceedsMax();
         }
 
-        return total;
+        _accrueFees();
+        managementFeeBps = _managementFeeBps;
+        performanceFeeBps = _performanceFeeBps;
+
+        emit FeesUpdated(_managementFeeBps, _performanceFeeBps);
     }
 
     /**
-     * @notice Get balance in a specific strategy
+     * @notice Set the account fee shares are minted to
     */
 
-    function _getStrategyBalance(uint256 strategyId) internal view returns (uint256) {
-        Strategy memory strategy = strategies[strategyId];
+    function setFeeRecipient(address _feeRecipient) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_feeRecipient == address(0)) revert InvalidFeeRecipient();
 
-        if (strategy.isERC4626) {
-            IERC4626 strategyVault = IERC4626(strategy.strategyAddress);
-            uint256 shares = strategyVault.balanceOf(address(this));
-            return strategyVault.convertToAssets(shares);
-        } else {
-            return IERC20(strategy.strategyAddress).balanceOf(address(this));
+        _accrueFees();
+        feeRecipient = _feeRecipient;
+
+        emit FeeRecipientUpdated(_feeRecipient);
+    }
+
+    /**
+     * @notice Accrue outstanding fees
+     * @dev Fees also accrue on every deposit, withdrawal, redeem request and rebalance
+    */
+
+    function accrueFees() external nonReentrant {
+        _accrueFees();
+        _updateTotalAssetsCache();
+    }
+
+    /**
+     * @notice Fee shares that would be minted if fees were accrued now
+    */
+
+    function previewFees() external view returns (uint256 managementFeeShares, uint256 performanceFeeShares) {
+        (managementFeeShares, performanceFeeShares, , ) = _calculateFees();
+    }
+
+    /**
+     * @notice Mint outstanding fee shares to the fee recipient and raise the high-water mark
+     * @dev Before the first mint the mark starts at the initial price, so the first gain is charged
+    */
+
+    function _accrueFees() internal {
+        (uint256 managementFeeShares, uint256 performanceFeeShares, uint256 assets, uint256 supply) = _calculateFees();
+        lastFeeAccrual = block.timestamp;
+        if (supply == 0) {
+            if (highWaterMark == 0) highWaterMark = 1e18;
+            return;
+        }
+
+        uint256 feeShares = managementFeeShares + performanceFeeShares;
+        uint256 pricePerShare = _pricePerShare(assets, supply + feeShares);
+        if (pricePerShare > highWaterMark) highWaterMark = pricePerShare;
+
+        if (feeShares > 0) {
+            _mint(feeRecipient, feeShares);
+            emit FeesAccrued(feeRecipient, managementFeeShares, performanceFeeShares, highWaterMark);
+        }
+    }
+
+    /**
+     * @notice Fee shares owed since the last accrual
+     * @dev The management fee is charged on total assets pro rata over time; the performance fee
+     *      on the gain of the price per share above the high-water mark. Both are converted to
+     *      shares at the price net of fees, so the recipient's shares are worth exactly the fees
+    */
+
+    function _calculateFees() internal view returns (
+        uint256 managementFeeShares,
+        uint256 performanceFeeShares,
+        uint256 assets,
+        uint256 supply
+    ) {
+        supply = totalSupply();
+        if (supply == 0) return (0, 0, 0, 0);
+        assets = totalAssets();
+
+        uint256 managementFee = (assets * managementFeeBps * (block.timestamp - lastFeeAccrual))
+            / (BPS_DENOMINATOR * SECONDS_PER_YEAR);
+
+        uint256 performanceFee;
+        uint256 pricePerShare = _pricePerShare(assets, supply);
+        if (pricePerShare > highWaterMark) {
+            performanceFee = ((pricePerShare - highWaterMark) * supply * performanceFeeBps)
+                / (1e18 * 10 ** decimalsOffset * BPS_DENOMINATOR);
         }
+
+        uint256 totalFee = managementFee + performanceFee;
+        if (totalFee == 0 || totalFee >= assets) return (0, 0, assets, supply);
+
+        uint256 feeShares = (totalFee * supply) / (assets - totalFee);
+        managementFeeShares = (feeShares * managementFee) / totalFee;
+        performanceFeeShares = feeShares - managementFeeShares;
+    }
+
+    /**
+     * @notice Assets per share on a 1e18 scale, where 1e18 is the initial price
+    */
+
+    function _pricePerShare(uint256 assets, uint256 supply) internal view returns (uint256) {
+        return (assets * 1e18 * 10 ** decimalsOffset) / supply;
+    }
+
+    // ============ Asset Accounting ============
+
+    /**
+     * @notice Virtual shares and assets used by the ERC-4626 conversions
+    */
+
+    function _decimalsOffset() internal view override returns (uint8) {
+        return decimalsOffset;
+    }
+
+    /**
+     * @notice Calculate total assets under management
+     * @dev Idle balance + total strategy debt + assets queued in lockup strategies, minus assets
+     *      already owed to queued withdrawals and profit that is still locked. Strategies are
+     *      never called: their value only changes through `processReport`
+    */
+
+    function totalAssets() public view override returns (uint256) {
+        uint256 total = IERC20(asset()).balanceOf(address(this))
+            + _strategyState.totalDebt
+            + _strategyState.totalPendingUnlocks;
+        uint256 deductions = totalQueuedWithdrawals + _strategyState.currentLockedProfit();
+        return total > deductions ? total - deductions : 0;
+    }
+
+    /**
+     * @notice Idle assets not owed to queued withdrawals
+    */
+
+    function _availableLiquidity() internal view returns (uint256) {
+        uint256 idle = IERC20(asset()).balanceOf(address(this));
+        return idle > totalQueuedWithdrawals ? idle - totalQueuedWithdrawals : 0;
     }
 
     /**
@@ -387,81 +1169,115 @@ contract MultiStrategyVault is ERC4626, AccessControl, Pausable, ReentrancyGuard
         _lastUpdateTimestamp = block.timestamp;
     }
 
-    // ============ Strategy Interaction ============
-    
+    // ============ Admin Functions ============
     /**
-     * @notice Deposit assets to a strategy
+     * @notice Pause deposits, rebalances, migrations and withdrawal cancellations
+     * @dev Guardians can pause but only the admin can unpause. Withdrawals, redeem requests and
+     *      completing queued withdrawals stay open, so users can always leave
     */
 
-    function _depositToStrategy(uint256 strategyId, uint256 amount) internal {
-        Strategy memory strategy = strategies[strategyId];
-        IERC20 assetToken = IERC20(asset());
+    function pause() external {
+        _checkGuardian();
+        _pause();
+    }
 
-        assetToken.forceApprove(strategy.strategyAddress, amount);
+    /**
+     * @notice Unpause contract operations
+    */
 
-        if (strategy.isERC4626) {
-            IERC4626(strategy.strategyAddress).deposit(amount, address(this));
-        } else {
-            assetToken.safeTransfer(strategy.strategyAddress, amount);
-        }
+    function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _unpause();
     }
 
     /**
-     * @notice Withdraw assets from a strategy
+     * @notice Permanently stop deposits and rebalances
+     * @dev Cannot be undone. Withdrawals and the withdrawal queue keep working, and
+     *      `processWithdrawals` keeps freeing liquidity from strategies to pay them
     */
 
-    function _withdrawFromStrategy(uint256 strategyId, uint256 amount) internal {
-        Strategy memory strategy = strategies[strategyId];
+    function shutdown() external {
+        _checkGuardian();
+        if (isShutdown) revert VaultIsShutdown();
 
-        if (strategy.isERC4626) {
-            IERC4626 strategyVault = IERC4626(strategy.strategyAddress);
-            uint256 shares = strategyVault.convertToShares(amount);
-            strategyVault.redeem(shares, address(this), address(this));
-        } else {
-            // For non-ERC4626 strategies, implement custom withdrawal logic
-        }
+        isShutdown = true;
+        emit VaultShutdown(msg.sender);
     }
 
-    // ============ Admin Functions ============
     /**
-     * @notice Pause contract operations
+     * @notice Pull a single strategy out, writing off what cannot be recovered
+     * @dev Reports the strategy, withdraws what is instantly available, queues an unlock for lockup
+     *      strategies and recognizes remaining debt as a loss, then deactivates the strategy.
+     *      Unlike `removeStrategy` it works on strategies that cannot be drained in full
+     * @param strategyId Strategy to exit
+     * @return withdrawn Assets that came back to the vault right away
+     * @return loss Loss recognized
     */
 
-    function pause() external onlyRole(DEFAULT_ADMIN_ROLE) {
-        _pause();
+    function emergencyExit(uint256 strategyId) external nonReentrant returns (uint256 withdrawn, uint256 loss) {
+        _checkGuardian();
+
+        _accrueFees();
+        (withdrawn, loss) = _strategyState.emergencyExit(strategyId);
+        _updateTotalAssetsCache();
     }
 
     /**
-     * @notice Unpause contract operations
+     * @notice Emergency withdraw all funds from strategies
+     * @dev Each strategy is reported first so losses are recognized. Lockup strategies are
+     *      queued for withdrawal instead of reverting
     */
 
-    function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
-        _unpause();
+    function emergencyWithdrawAll() external nonReentrant whenPaused {
+        _checkGuardian();
+
+        _accrueFees();
+        _strategyState.unwindAll();
+        _updateTotalAssetsCache();
     }
 
     /**
-     * @notice Emergency withdraw all funds from strategies
+     * @notice Guardians and the admin only
     */
 
-    function emergencyWithdrawAll() external onlyRole(DEFAULT_ADMIN_ROLE) whenPaused {
-        for (uint256 i = 0; i < strategies.length; i++) {
-            if (strategies[i].isActive) {
-                uint256 balance = _getStrategyBalance(i);
-                if (balance > 0) {
-                    _withdrawFromStrategy(i, balance);
-                }
-            }
-        }
+    function _checkGuardian() internal view {
+        if (!hasRole(GUARDIAN_ROLE, msg.sender)) _checkRole(DEFAULT_ADMIN_ROLE);
     }
 
     // ============ View Functions ============
+
+    /**
+     * @notice ERC-165 support, including the ERC-7540 redeem and operator interfaces
+    */
+
+    function supportsInterface(bytes4 interfaceId) public view override returns (bool) {
+        return interfaceId == type(IERC7540Redeem).interfaceId
+            || interfaceId == type(IERC7540Operator).interfaceId
+            || interfaceId == 0x2f0a18c5 // ERC-7575
+            || super.supportsInterface(interfaceId);
+    }
     
     /**
-     * @notice Get all active strategies
+     * @notice Get a strategy by id
+    */
+
+    function strategies(uint256 strategyId) external view returns (StrategyLogic.Strategy memory) {
+        return _strategyState.strategies[strategyId];
+    }
+
+    /**
+     * @notice Get all strategies, including retired ones
     */
 
-    function getStrategies() external view returns (Strategy[] memory) {
-        return strategies;
+    function getStrategies() external view returns (StrategyLogic.Strategy[] memory) {
+        return _strategyState.strategies;
+    }
+
+    /**
+     * @notice Get the ids of active strategies
+    */
+
+    function getActiveStrategyIds() external view returns (uint256[] memory) {
+        return _strategyState.activeIds;
     }
 
     /**
@@ -469,7 +1285,39 @@ contract MultiStrategyVault is ERC4626, AccessControl, Pausable, ReentrancyGuard
     */
 
     function getStrategyCount() external view returns (uint256) {
-        return strategies.length;
+        return _strategyState.strategies.length;
+    }
+
+    /**
+     * @notice Health check thresholds and state of a strategy
+    */
+
+    function strategyHealth(uint256 strategyId) external view returns (StrategyLogic.Health memory) {
+        return _strategyState.health[strategyId];
+    }
+
+    /**
+     * @notice Assets queued in a lockup strategy and when they unlock
+    */
+
+    function pendingUnlocks(uint256 strategyId) external view returns (StrategyLogic.PendingUnlock memory) {
+        return _strategyState.pendingUnlocks[strategyId];
+    }
+
+    /**
+     * @notice Sum of active strategies' current debt
+    */
+
+    function totalDebt() external view returns (uint256) {
+        return _strategyState.totalDebt;
+    }
+
+    /**
+     * @notice Assets queued in lockup strategies
+    */
+
+    function totalPendingUnlocks() external view returns (uint256) {
+        return _strategyState.totalPendingUnlocks;
     }
 
     /**
@@ -484,7 +1332,7 @@ contract MultiStrategyVault is ERC4626, AccessControl, Pausable, ReentrancyGuard
     ) {
         totalAssetsAmount = totalAssets();
         totalSharesAmount = totalSupply();
-        pricePerShare = totalSharesAmount > 0 ? (totalAssetsAmount * 1e18) / totalSharesAmount : 1e18;
+        pricePerShare = totalSharesAmount > 0 ? _pricePerShare(totalAssetsAmount, totalSharesAmount) : 1e18;
         queuedWithdrawals = totalQueuedWithdrawals;
     }
 }
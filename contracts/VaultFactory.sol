@@ -0,0 +1,181 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Create2.sol";
+import "./MultiStrategyVault.sol";
+import "./VaultRegistry.sol";
+import "./libraries/BytecodeStore.sol";
+
+/**
+ * @title VaultFactory
+ * @notice Launches MultiStrategyVaults from a template and records them in the VaultRegistry
+ * @dev The template is the vault's linked creation code. It is too large to be part of the
+ *      factory's own code, so `setTemplate` stores it in data contracts (BytecodeStore) and
+ *      `createVault` deploys it with CREATE2. New vaults are bound to the registry, so every
+ *      strategy they add, now or later, must be approved in it. The factory holds the vault's
+ *      roles only while setting it up and renounces them before `createVault` returns
+*/
+
+contract VaultFactory is AccessControl {
+    using SafeERC20 for IERC20;
+
+    bytes32 public constant DEPLOYER_ROLE = keccak256("DEPLOYER_ROLE");
+    address public constant DEAD_ADDRESS = 0x000000000000000000000000000000000000dEaD;
+
+    struct StrategyParams {
+        address strategy; // Must be approved in the registry
+        uint256 allocationBps;
+    }
+
+    struct VaultParams {
+        IERC20 asset;
+        string name;
+        string symbol;
+        uint8 decimalsOffset;
+        address admin; // DEFAULT_ADMIN_ROLE, the timelock in production
+        address manager; // MANAGER_ROLE, the timelock in production
+        address guardian; // GUARDIAN_ROLE, optional
+        address keeper; // KEEPER_ROLE, optional
+        address feeRecipient; // Receiver of fee shares, the admin if unset
+        uint256 seedAssets; // Assets pulled from the caller and deposited as dead shares (0 = none)
+        StrategyParams[] strategies;
+    }
+
+    VaultRegistry public immutable registry;
+
+    address[] private _templateChunks;
+    bytes32 public templateHash; // keccak256 of the template, for checking it against a build
+
+    // ============ Events ============
+    event TemplateUpdated(bytes32 templateHash, uint256 size);
+    event VaultCreated(address indexed vault, address indexed asset, address indexed admin, string name, string symbol);
+
+    // ============ Errors ============
+    error TemplateNotSet();
+    error InvalidRoles();
+    error StrategyNotApproved(address strategy);
+
+    // ============ Constructor ============
+    /**
+     * @param _registry Registry new vaults are recorded in; the factory needs its REGISTRAR_ROLE
+     * @param admin Account managing the template and deployers
+    */
+
+    constructor(VaultRegistry _registry, address admin) {
+        registry = _registry;
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+    }
+
+    // ============ Template ============
+
+    /**
+     * @notice Set the creation code new vaults are deployed from
+     * @param creationCode MultiStrategyVault creation code, linked to a deployed StrategyLogic
+    */
+
+    function setTemplate(bytes calldata creationCode) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _templateChunks = BytecodeStore.write(creationCode);
+        templateHash = keccak256(creationCode);
+
+        emit TemplateUpdated(templateHash, creationCode.length);
+    }
+
+    /**
+     * @notice Creation code new vaults are deployed from
+    */
+
+    function template() public view returns (bytes memory) {
+        return BytecodeStore.read(_templateChunks);
+    }
+
+    // ============ Deployment ============
+
+    /**
+     * @notice Deploy a vault, add its strategies, seed it and hand its roles over
+     * @param params Vault configuration
+     * @param salt CREATE2 salt; see `predictVaultAddress`
+     * @return vault The new vault, already registered
+    */
+
+    function createVault(VaultParams calldata params, bytes32 salt)
+        external
+        onlyRole(DEPLOYER_ROLE)
+        returns (MultiStrategyVault vault)
+    {
+        if (params.admin == address(0) || params.manager == address(0)) revert InvalidRoles();
+
+        vault = MultiStrategyVault(Create2.deploy(0, salt, _initCode(params)));
+        vault.setRegistry(address(registry));
+
+        for (uint256 i = 0; i < params.strategies.length; i++) {
+            _addStrategy(vault, params.strategies[i]);
+        }
+
+        if (params.seedAssets > 0) {
+            params.asset.safeTransferFrom(msg.sender, address(this), params.seedAssets);
+            params.asset.forceApprove(address(vault), params.seedAssets);
+            vault.deposit(params.seedAssets, DEAD_ADDRESS);
+        }
+
+        _handOverRoles(vault, params);
+        registry.registerVault(address(vault));
+
+        emit VaultCreated(address(vault), address(params.asset), params.admin, params.name, params.symbol);
+    }
+
+    /**
+     * @notice Address `createVault` deploys to for `params` and `salt` with the current template
+    */
+
+    function predictVaultAddress(VaultParams calldata params, bytes32 salt) external view returns (address) {
+        return Create2.computeAddress(salt, keccak256(_initCode(params)));
+    }
+
+    // ============ Internal ============
+
+    function _initCode(VaultParams calldata params) internal view returns (bytes memory) {
+        if (_templateChunks.length == 0) revert TemplateNotSet();
+
+        return bytes.concat(
+            template(),
+            abi.encode(params.asset, params.name, params.symbol, params.decimalsOffset)
+        );
+    }
+
+    /**
+     * @notice Add a registry-approved strategy with the adapter it was approved with
+    */
+
+    function _addStrategy(MultiStrategyVault vault, StrategyParams calldata strategy) internal {
+        IVaultRegistry.StrategyApproval memory approval = registry.strategyApproval(strategy.strategy);
+        if (!approval.approved) revert StrategyNotApproved(strategy.strategy);
+
+        if (approval.adapter == address(0)) {
+            vault.addStrategy(strategy.strategy, strategy.allocationBps, true, approval.hasLockup);
+        } else {
+            vault.addStrategyWithAdapter(strategy.strategy, approval.adapter, strategy.allocationBps, approval.hasLockup);
+        }
+    }
+
+    /**
+     * @notice Grant the vault's roles to their holders and renounce the factory's own
+     * @dev The vault starts out with the factory as fee recipient, so it is replaced here as well
+    */
+
+    function _handOverRoles(MultiStrategyVault vault, VaultParams calldata params) internal {
+        bytes32 adminRole = vault.DEFAULT_ADMIN_ROLE();
+        bytes32 managerRole = vault.MANAGER_ROLE();
+
+        vault.setFeeRecipient(params.feeRecipient != address(0) ? params.feeRecipient : params.admin);
+
+        vault.grantRole(managerRole, params.manager);
+        if (params.guardian != address(0)) vault.grantRole(vault.GUARDIAN_ROLE(), params.guardian);
+        if (params.keeper != address(0)) vault.grantRole(vault.KEEPER_ROLE(), params.keeper);
+        vault.grantRole(adminRole, params.admin);
+
+        vault.renounceRole(managerRole, address(this));
+        vault.renounceRole(adminRole, address(this));
+    }
+}
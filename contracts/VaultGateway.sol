@@ -0,0 +1,244 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/interfaces/IERC4626.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "./interfaces/ISwapAdapter.sol";
+import "./interfaces/IPriceFeed.sol";
+
+/**
+ * @title VaultGateway
+ * @notice Deposits into and redemptions out of a MultiStrategyVault in tokens other than its asset
+ * @dev Accepted tokens are converted to and from the vault's asset through a swap adapter set by
+ *      governance per token. Every swap must return at least the oracle value of its input less
+ *      the token's `maxSlippageBps`, on top of the caller's own minimum. Prices come from
+ *      Chainlink-style feeds for the token and the asset and are rejected once older than
+ *      `maxPriceAge`. DEFAULT_ADMIN_ROLE (the timelock in production) manages accepted tokens;
+ *      GUARDIAN_ROLE can remove one at once
+*/
+
+contract VaultGateway is AccessControl, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+    uint256 public constant BPS_DENOMINATOR = 10000;
+    uint256 public constant MAX_SLIPPAGE_BPS = 500; // 5%
+
+    struct TokenConfig {
+        address swapAdapter; // ISwapAdapter converting between the token and the asset
+        address priceFeed; // IPriceFeed pricing the token in the same unit as `assetPriceFeed`
+        uint256 maxSlippageBps; // Largest shortfall against the oracle value a swap may have
+    }
+
+    IERC4626 public immutable vault;
+    IERC20 public immutable asset;
+
+    address public assetPriceFeed; // IPriceFeed pricing the vault's asset
+    uint256 public maxPriceAge = 1 days; // Oldest price a swap is checked against
+
+    mapping (address => TokenConfig) public tokenConfigs;
+    EnumerableSet.AddressSet private _acceptedTokens;
+
+    // ============ Events ============
+    event TokenConfigured(address indexed token, address swapAdapter, address priceFeed, uint256 maxSlippageBps);
+    event TokenRemoved(address indexed token);
+    event OracleUpdated(address assetPriceFeed, uint256 maxPriceAge);
+    event TokenDeposited(address indexed sender, address indexed receiver, address indexed token, uint256 amount, uint256 assets, uint256 shares);
+    event TokenRedeemed(address indexed owner, address indexed receiver, address indexed token, uint256 shares, uint256 assets, uint256 amountOut);
+
+    // ============ Errors ============
+    error InvalidToken();
+    error InvalidSlippage();
+    error TokenNotAccepted();
+    error InvalidPrice();
+    error OracleSlippageExceeded();
+    error SlippageExceeded();
+
+    // ============ Constructor ============
+    /**
+     * @param _vault Vault deposits go into and redemptions come out of
+     * @param admin Account managing accepted tokens and the oracle, the timelock in production
+     * @param guardian Account that can remove accepted tokens at once
+    */
+
+    constructor(IERC4626 _vault, address admin, address guardian) {
+        vault = _vault;
+        asset = IERC20(_vault.asset());
+
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        if (guardian != address(0)) _grantRole(GUARDIAN_ROLE, guardian);
+    }
+
+    // ============ Deposits and Redemptions ============
+
+    /**
+     * @notice Deposit an accepted token, converted into the vault's asset, for `receiver`
+     * @param token Accepted token pulled from the caller
+     * @param amount Amount of `token` to deposit
+     * @param minShares Fewest shares `receiver` must get
+     * @param receiver Receiver of the shares
+     * @return shares Shares minted to `receiver`
+    */
+
+    function depositToken(address token, uint256 amount, uint256 minShares, address receiver)
+        external
+        nonReentrant
+        returns (uint256 shares)
+    {
+        TokenConfig memory config = _acceptedConfig(token);
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+
+        uint256 assets = _swap(config, token, address(asset), amount);
+
+        asset.forceApprove(address(vault), assets);
+        shares = vault.deposit(assets, receiver);
+        if (shares < minShares) revert SlippageExceeded();
+
+        emit TokenDeposited(msg.sender, receiver, token, amount, assets, shares);
+    }
+
+    /**
+     * @notice Redeem the caller's shares and pay `receiver` in an accepted token
+     * @dev Shares must be approved to the gateway. Redemptions are instant ones, bounded by the
+     *      vault's `maxRedeem`
+     * @param token Accepted token to pay out
+     * @param shares Shares to redeem
+     * @param minAmountOut Fewest `token` `receiver` must get
+     * @param receiver Receiver of the tokens
+     * @return amountOut Amount of `token` sent to `receiver`
+    */
+
+    function redeemToToken(address token, uint256 shares, uint256 minAmountOut, address receiver)
+        external
+        nonReentrant
+        returns (uint256 amountOut)
+    {
+        TokenConfig memory config = _acceptedConfig(token);
+        uint256 assets = vault.redeem(shares, address(this), msg.sender);
+
+        amountOut = _swap(config, address(asset), token, assets);
+        if (amountOut < minAmountOut) revert SlippageExceeded();
+        IERC20(token).safeTransfer(receiver, amountOut);
+
+        emit TokenRedeemed(msg.sender, receiver, token, shares, assets, amountOut);
+    }
+
+    // ============ Governance ============
+
+    /**
+     * @notice Accept `token`, or change how it is converted
+     * @param swapAdapter Whitelisted ISwapAdapter converting between `token` and the asset
+     * @param priceFeed Price feed of `token`, in the unit of `assetPriceFeed`
+     * @param maxSlippageBps Largest shortfall against the oracle value, at most MAX_SLIPPAGE_BPS
+    */
+
+    function setToken(address token, address swapAdapter, address priceFeed, uint256 maxSlippageBps)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        if (token == address(0) || token == address(asset) || token == address(vault)) revert InvalidToken();
+        if (swapAdapter == address(0) || priceFeed == address(0)) revert InvalidToken();
+        if (maxSlippageBps > MAX_SLIPPAGE_BPS) revert InvalidSlippage();
+
+        tokenConfigs[token] = TokenConfig(swapAdapter, priceFeed, maxSlippageBps);
+        _acceptedTokens.add(token);
+
+        emit TokenConfigured(token, swapAdapter, priceFeed, maxSlippageBps);
+    }
+
+    /**
+     * @notice Stop accepting `token`; guardian or admin
+    */
+
+    function removeToken(address token) external {
+        if (!hasRole(GUARDIAN_ROLE, msg.sender)) _checkRole(DEFAULT_ADMIN_ROLE);
+        if (!_acceptedTokens.remove(token)) revert TokenNotAccepted();
+
+        delete tokenConfigs[token];
+
+        emit TokenRemoved(token);
+    }
+
+    /**
+     * @notice Set the asset's price feed and how old a price may be
+    */
+
+    function setOracle(address _assetPriceFeed, uint256 _maxPriceAge) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_assetPriceFeed == address(0)) revert InvalidToken();
+
+        assetPriceFeed = _assetPriceFeed;
+        maxPriceAge = _maxPriceAge;
+
+        emit OracleUpdated(_assetPriceFeed, _maxPriceAge);
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice Tokens currently accepted
+    */
+
+    function getAcceptedTokens() external view returns (address[] memory) {
+        return _acceptedTokens.values();
+    }
+
+    /**
+     * @notice Oracle value of `amountIn` of `tokenIn` in `tokenOut`, one of them being the asset
+    */
+
+    function quote(address tokenIn, address tokenOut, uint256 amountIn) public view returns (uint256) {
+        return Math.mulDiv(
+            amountIn * _price(tokenIn),
+            10 ** IERC20Metadata(tokenOut).decimals(),
+            _price(tokenOut) * 10 ** IERC20Metadata(tokenIn).decimals()
+        );
+    }
+
+    // ============ Internal ============
+
+    function _acceptedConfig(address token) internal view returns (TokenConfig memory config) {
+        if (!_acceptedTokens.contains(token)) revert TokenNotAccepted();
+        config = tokenConfigs[token];
+    }
+
+    /**
+     * @notice Swap through the token's adapter, checking the output against the oracle
+     * @dev The output is measured on the gateway's balance rather than taken from the adapter
+    */
+
+    function _swap(TokenConfig memory config, address tokenIn, address tokenOut, uint256 amountIn)
+        internal
+        returns (uint256 amountOut)
+    {
+        uint256 minAmountOut = (quote(tokenIn, tokenOut, amountIn) * (BPS_DENOMINATOR - config.maxSlippageBps))
+            / BPS_DENOMINATOR;
+        uint256 balanceBefore = IERC20(tokenOut).balanceOf(address(this));
+
+        IERC20(tokenIn).forceApprove(config.swapAdapter, amountIn);
+        ISwapAdapter(config.swapAdapter).swap(tokenIn, tokenOut, amountIn, minAmountOut, address(this));
+        IERC20(tokenIn).forceApprove(config.swapAdapter, 0);
+
+        amountOut = IERC20(tokenOut).balanceOf(address(this)) - balanceBefore;
+        if (amountOut < minAmountOut) revert OracleSlippageExceeded();
+    }
+
+    /**
+     * @notice Latest price of `token` on a 1e18 scale
+    */
+
+    function _price(address token) internal view returns (uint256) {
+        address feed = token == address(asset) ? assetPriceFeed : tokenConfigs[token].priceFeed;
+        if (feed == address(0)) revert InvalidPrice();
+
+        (, int256 answer, , uint256 updatedAt, ) = IPriceFeed(feed).latestRoundData();
+        if (answer <= 0 || block.timestamp - updatedAt > maxPriceAge) revert InvalidPrice();
+
+        return (uint256(answer) * 1e18) / 10 ** IPriceFeed(feed).decimals();
+    }
+}
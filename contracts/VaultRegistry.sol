@@ -0,0 +1,157 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/interfaces/IERC4626.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "./MultiStrategyVault.sol";
+import "./interfaces/IVaultRegistry.sol";
+
+/**
+ * @title VaultRegistry
+ * @notice Source of truth for the MultiStrategyVaults in operation and the strategies they may use
+ * @dev Vaults are registered by the VaultFactory (REGISTRAR_ROLE) or, for vaults deployed some
+ *      other way, by the admin. The strategy whitelist is shared by every vault the factory
+ *      launches, which checks it whenever a strategy is added: DEFAULT_ADMIN_ROLE approves
+ *      strategies and their adapters, GUARDIAN_ROLE can revoke one at once
+*/
+
+contract VaultRegistry is AccessControl, IVaultRegistry {
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    bytes32 public constant REGISTRAR_ROLE = keccak256("REGISTRAR_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    EnumerableSet.AddressSet private _vaults;
+    mapping (address => EnumerableSet.AddressSet) private _vaultsByAsset;
+    EnumerableSet.AddressSet private _approvedStrategies;
+    mapping (address => StrategyApproval) private _strategyApprovals;
+
+    // ============ Events ============
+    event VaultRegistered(address indexed vault, address indexed asset);
+    event VaultDeregistered(address indexed vault, address indexed asset);
+    event StrategyApproved(address indexed strategy, address adapter, bool hasLockup);
+    event StrategyRevoked(address indexed strategy);
+
+    // ============ Errors ============
+    error AlreadyRegistered();
+    error NotRegistered();
+    error InvalidStrategy();
+
+    // ============ Constructor ============
+    /**
+     * @param admin Account managing the registry, the timelock in production
+     * @param guardian Account that can revoke strategies at once
+    */
+
+    constructor(address admin, address guardian) {
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        if (guardian != address(0)) _grantRole(GUARDIAN_ROLE, guardian);
+    }
+
+    // ============ Vaults ============
+
+    /**
+     * @notice Add a vault to the registry; registrars (the factory) or admin
+    */
+
+    function registerVault(address vault) external {
+        if (!hasRole(REGISTRAR_ROLE, msg.sender)) _checkRole(DEFAULT_ADMIN_ROLE);
+        if (!_vaults.add(vault)) revert AlreadyRegistered();
+
+        address asset = IERC4626(vault).asset();
+        _vaultsByAsset[asset].add(vault);
+
+        emit VaultRegistered(vault, asset);
+    }
+
+    /**
+     * @notice Remove a retired vault from the registry
+    */
+
+    function deregisterVault(address vault) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (!_vaults.remove(vault)) revert NotRegistered();
+
+        address asset = IERC4626(vault).asset();
+        _vaultsByAsset[asset].remove(vault);
+
+        emit VaultDeregistered(vault, asset);
+    }
+
+    // ============ Strategy Whitelist ============
+
+    /**
+     * @notice Approve a strategy for vaults launched by the factory
+     * @param adapter Custom IStrategyAdapter, `address(0)` for an ERC-4626 strategy
+     * @param hasLockup Whether the strategy has a lockup period
+    */
+
+    function approveStrategy(address strategy, address adapter, bool hasLockup)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        if (strategy == address(0)) revert InvalidStrategy();
+
+        _approvedStrategies.add(strategy);
+        _strategyApprovals[strategy] = StrategyApproval(true, adapter, hasLockup);
+
+        emit StrategyApproved(strategy, adapter, hasLockup);
+    }
+
+    /**
+     * @notice Revoke a strategy's approval; guardian or admin
+     * @dev Bound vaults can no longer add it; vaults already holding it retire it themselves
+    */
+
+    function revokeStrategy(address strategy) external {
+        if (!hasRole(GUARDIAN_ROLE, msg.sender)) _checkRole(DEFAULT_ADMIN_ROLE);
+        if (!_approvedStrategies.remove(strategy)) revert InvalidStrategy();
+
+        delete _strategyApprovals[strategy];
+
+        emit StrategyRevoked(strategy);
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice All registered vaults
+    */
+
+    function getVaults() external view returns (address[] memory) {
+        return _vaults.values();
+    }
+
+    /**
+     * @notice Registered vaults of `asset`
+    */
+
+    function getVaultsByAsset(address asset) external view returns (address[] memory) {
+        return _vaultsByAsset[asset].values();
+    }
+
+    function isVault(address vault) external view returns (bool) {
+        return _vaults.contains(vault);
+    }
+
+    /**
+     * @notice Strategies of a registered vault, including retired ones, as the vault reports them
+    */
+
+    function getVaultStrategies(address vault) external view returns (StrategyLogic.Strategy[] memory) {
+        if (!_vaults.contains(vault)) revert NotRegistered();
+        return MultiStrategyVault(vault).getStrategies();
+    }
+
+    /**
+     * @notice Strategies currently on the whitelist
+    */
+
+    function getApprovedStrategies() external view returns (address[] memory) {
+        return _approvedStrategies.values();
+    }
+
+    function strategyApproval(address strategy) external view returns (StrategyApproval memory) {
+        return _strategyApprovals[strategy];
+    }
+}
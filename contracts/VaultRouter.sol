@@ -0,0 +1,106 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/interfaces/IERC4626.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Multicall.sol";
+
+/**
+ * @title VaultRouter
+ * @notice Single-transaction deposit, redeem and migration flows for MultiStrategyVault
+ * @dev Stateless and holds no funds between calls. Assets are pulled from the caller (approval
+ *      or permit); redemptions spend the caller's share allowance to the router. Redemptions are
+ *      instant ones, bounded by the vault's `maxRedeem`; queued requests are claimed on the vault.
+ *      Calls can be batched with `multicall`
+*/
+
+contract VaultRouter is Multicall {
+    using SafeERC20 for IERC20;
+
+    error SlippageExceeded();
+    error AssetMismatch();
+
+    // ============ Deposits ============
+
+    /**
+     * @notice Deposit the caller's assets into `vault` for `receiver`
+     * @param minShares Fewest shares `receiver` must get
+    */
+
+    function deposit(IERC4626 vault, uint256 assets, address receiver, uint256 minShares)
+        public
+        returns (uint256 shares)
+    {
+        IERC20 asset = IERC20(vault.asset());
+        asset.safeTransferFrom(msg.sender, address(this), assets);
+        shares = _deposit(vault, asset, assets, receiver, minShares);
+    }
+
+    /**
+     * @notice Deposit with the router approved through an EIP-2612 permit signature
+     * @dev A permit that fails (e.g. already used by a front-runner) is ignored, so the deposit
+     *      still goes through when the allowance is in place
+    */
+
+    function depositWithPermit(
+        IERC4626 vault,
+        uint256 assets,
+        address receiver,
+        uint256 minShares,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external returns (uint256 shares) {
+        try IERC20Permit(vault.asset()).permit(msg.sender, address(this), assets, deadline, v, r, s) {} catch {}
+        shares = deposit(vault, assets, receiver, minShares);
+    }
+
+    // ============ Redemptions ============
+
+    /**
+     * @notice Redeem the caller's shares of `vault`, paying `receiver`
+     * @param minAssets Fewest assets `receiver` must get
+    */
+
+    function redeem(IERC4626 vault, uint256 shares, address receiver, uint256 minAssets)
+        external
+        returns (uint256 assets)
+    {
+        assets = vault.redeem(shares, receiver, msg.sender);
+        if (assets < minAssets) revert SlippageExceeded();
+    }
+
+    /**
+     * @notice Move a position from one vault to another vault of the same asset
+     * @param fromVault Vault the caller's shares are redeemed from
+     * @param toVault Vault the assets are deposited into
+     * @param shares Shares of `fromVault` to move
+     * @param receiver Receiver of the new shares
+     * @param minShares Fewest `toVault` shares `receiver` must get
+    */
+
+    function migrate(
+        IERC4626 fromVault,
+        IERC4626 toVault,
+        uint256 shares,
+        address receiver,
+        uint256 minShares
+    ) external returns (uint256 newShares) {
+        IERC20 asset = IERC20(fromVault.asset());
+        if (toVault.asset() != address(asset)) revert AssetMismatch();
+
+        uint256 assets = fromVault.redeem(shares, address(this), msg.sender);
+        newShares = _deposit(toVault, asset, assets, receiver, minShares);
+    }
+
+    function _deposit(IERC4626 vault, IERC20 asset, uint256 assets, address receiver, uint256 minShares)
+        internal
+        returns (uint256 shares)
+    {
+        asset.forceApprove(address(vault), assets);
+        shares = vault.deposit(assets, receiver);
+        if (shares < minShares) revert SlippageExceeded();
+    }
+}
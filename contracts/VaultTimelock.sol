@@ -0,0 +1,127 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+
+/**
+ * @title VaultTimelock
+ * @notice Timelock that holds the vault's MANAGER_ROLE and DEFAULT_ADMIN_ROLE
+ * @dev Strategy changes are scheduled by proposers, can be vetoed by the guardian while they wait,
+ *      and are executed once the delay has passed. The delay is changed through the timelock
+ *      itself (`updateDelay`) and never drops below MINIMUM_DELAY. Operations that are waiting or
+ *      ready are enumerable so depositors can see what is about to change
+*/
+
+contract VaultTimelock is TimelockController {
+    using EnumerableSet for EnumerableSet.Bytes32Set;
+
+    uint256 public constant MINIMUM_DELAY = 1 days;
+
+    EnumerableSet.Bytes32Set private _pendingOperations;
+
+    /**
+     * @param minDelay Initial delay for scheduled operations, at least MINIMUM_DELAY
+     * @param proposers Accounts that can schedule (and cancel) operations
+     * @param executors Accounts that can execute ready operations, `address(0)` for anyone
+     * @param guardian Account that can veto scheduled operations
+    */
+
+    constructor(
+        uint256 minDelay,
+        address[] memory proposers,
+        address[] memory executors,
+        address guardian
+    ) TimelockController(minDelay, proposers, executors, address(0)) {
+        if (minDelay < MINIMUM_DELAY) revert TimelockInsufficientDelay(minDelay, MINIMUM_DELAY);
+        if (guardian != address(0)) _grantRole(CANCELLER_ROLE, guardian);
+    }
+
+    // ============ Scheduling ============
+
+    function schedule(
+        address target,
+        uint256 value,
+        bytes calldata data,
+        bytes32 predecessor,
+        bytes32 salt,
+        uint256 delay
+    ) public override {
+        super.schedule(target, value, data, predecessor, salt, delay);
+        _pendingOperations.add(hashOperation(target, value, data, predecessor, salt));
+    }
+
+    function scheduleBatch(
+        address[] calldata targets,
+        uint256[] calldata values,
+        bytes[] calldata payloads,
+        bytes32 predecessor,
+        bytes32 salt,
+        uint256 delay
+    ) public override {
+        super.scheduleBatch(targets, values, payloads, predecessor, salt, delay);
+        _pendingOperations.add(hashOperationBatch(targets, values, payloads, predecessor, salt));
+    }
+
+    /**
+     * @notice Cancel a waiting or ready operation
+     * @dev Open to proposers and the guardian
+    */
+
+    function cancel(bytes32 id) public override {
+        super.cancel(id);
+        _pendingOperations.remove(id);
+    }
+
+    // ============ Execution ============
+
+    function execute(
+        address target,
+        uint256 value,
+        bytes calldata payload,
+        bytes32 predecessor,
+        bytes32 salt
+    ) public payable override {
+        super.execute(target, value, payload, predecessor, salt);
+        _pendingOperations.remove(hashOperation(target, value, payload, predecessor, salt));
+    }
+
+    function executeBatch(
+        address[] calldata targets,
+        uint256[] calldata values,
+        bytes[] calldata payloads,
+        bytes32 predecessor,
+        bytes32 salt
+    ) public payable override {
+        super.executeBatch(targets, values, payloads, predecessor, salt);
+        _pendingOperations.remove(hashOperationBatch(targets, values, payloads, predecessor, salt));
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice Delay new operations must wait, never below MINIMUM_DELAY
+    */
+
+    function getMinDelay() public view override returns (uint256) {
+        return Math.max(super.getMinDelay(), MINIMUM_DELAY);
+    }
+
+    /**
+     * @notice Ids of operations that are scheduled and neither executed nor cancelled
+     * @dev Pair with `getTimestamp` for the time each one becomes executable
+    */
+
+    function getPendingOperations() external view returns (bytes32[] memory) {
+        return _pendingOperations.values();
+    }
+
+    /**
+     * @notice Number of operations that are scheduled and neither executed nor cancelled
+    */
+
+    function pendingOperationCount() external view returns (uint256) {
+        return _pendingOperations.length();
+    }
+}
@@ -0,0 +1,351 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Enumerable.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/**
+ * @title WithdrawalQueue
+ * @notice FIFO queue of vault withdrawal requests, each represented by an ERC-721 ticket
+ * @dev Deployed and driven by MultiStrategyVault. Token ids are request ids. Assets of fulfilled
+ *      requests are held here until the ticket holder completes the withdrawal through the vault.
+ *      The holder of a ticket is the request's ERC-7540 controller
+*/
+
+contract WithdrawalQueue is ERC721Enumerable {
+    using SafeERC20 for IERC20;
+
+    enum Status {
+        Pending,   // Waiting in the queue
+        Claimable, // Assets set aside, ticket holder can complete
+        Completed,
+        Cancelled
+    }
+
+    struct Request {
+        address owner;
+        address receiver;
+        uint256 shares;
+        uint256 assets;
+        uint256 timestamp;
+        Status status;
+    }
+
+    address public immutable vault;
+    IERC20 public immutable asset;
+
+    Request[] public requests; // requestId => request, in FIFO order
+    mapping (address => uint256[]) private _ownerRequestIds;
+
+    uint256 public head; // Oldest request that may still be pending
+
+    // Claimable totals per ticket holder, used for ERC-7540 claims through redeem/withdraw
+    mapping (address => uint256) public claimableShares;
+    mapping (address => uint256) public claimableAssets;
+
+    // ============ Events ============
+    event WithdrawalClaimable(uint256 indexed requestId, uint256 assets);
+
+    // ============ Errors ============
+    error OnlyVault();
+    error NoWithdrawalRequest();
+    error WithdrawalNotReady();
+    error WithdrawalNotCancellable();
+    error NotTicketHolder();
+    error ExceedsClaimable();
+
+    modifier onlyVault() {
+        if (msg.sender != vault) revert OnlyVault();
+        _;
+    }
+
+    constructor(IERC20 _asset, string memory _name, string memory _symbol) ERC721(_name, _symbol) {
+        vault = msg.sender;
+        asset = _asset;
+    }
+
+    // ============ Vault Functions ============
+
+    /**
+     * @notice Append a request and mint its ticket to the receiver
+    */
+
+    function enqueue(
+        address owner,
+        address receiver,
+        uint256 shares,
+        uint256 assets
+    ) external onlyVault returns (uint256 requestId) {
+        requestId = requests.length;
+        requests.push(Request({
+            owner: owner,
+            receiver: receiver,
+            shares: shares,
+            assets: assets,
+            timestamp: block.timestamp,
+            status: Status.Pending
+        }));
+        _ownerRequestIds[owner].push(requestId);
+
+        _mint(receiver, requestId);
+    }
+
+    /**
+     * @notice Make pending requests claimable in order, up to `available` assets
+     * @dev Stops at the first request that cannot be covered in full. The vault transfers
+     *      the returned amount of assets to this contract
+     * @return processed Number of requests made claimable
+     * @return assets Assets the vault owes this contract for them
+    */
+
+    function fulfil(uint256 maxCount, uint256 available)
+        external
+        onlyVault
+        returns (uint256 processed, uint256 assets)
+    {
+        uint256 i = _skipInactive(head);
+        for (; i < requests.length && processed < maxCount; i++) {
+            Request storage request = requests[i];
+            if (request.status != Status.Pending) continue;
+            if (assets + request.assets > available) break;
+
+            request.status = Status.Claimable;
+            assets += request.assets;
+            processed++;
+
+            address holder = ownerOf(i);
+            claimableShares[holder] += request.shares;
+            claimableAssets[holder] += request.assets;
+
+            emit WithdrawalClaimable(i, request.assets);
+        }
+        head = _skipInactive(i);
+    }
+
+    /**
+     * @notice Complete a claimable request and pay its ticket holder
+     * @param caller Account completing the request, must hold or be approved for the ticket
+    */
+
+    function complete(uint256 requestId, address caller)
+        external
+        onlyVault
+        returns (address holder, uint256 assets)
+    {
+        Request storage request = _authorizedRequest(requestId, caller);
+        if (request.status != Status.Claimable) revert WithdrawalNotReady();
+
+        holder = ownerOf(requestId);
+        assets = request.assets;
+
+        _burn(requestId);
+        request.status = Status.Completed;
+
+        asset.safeTransfer(holder, assets);
+    }
+
+    /**
+     * @notice Claim `amount` shares (or assets) from a controller's claimable requests
+     * @dev Requests are consumed whole where possible; the last one may be claimed partially,
+     *      keeping its ticket for the remainder
+     * @param isShares Whether `amount` is denominated in shares (redeem) or assets (withdraw)
+     * @return shares Shares of the requests claimed
+     * @return assets Assets paid to `receiver`
+    */
+
+    function claim(
+        address controller,
+        address receiver,
+        uint256 amount,
+        bool isShares
+    ) external onlyVault returns (uint256 shares, uint256 assets) {
+        uint256 remaining = amount;
+
+        // Walk backwards so burning a ticket never moves an unvisited one
+        for (uint256 i = balanceOf(controller); i > 0 && remaining > 0; ) {
+            uint256 requestId = tokenOfOwnerByIndex(controller, --i);
+            Request storage request = requests[requestId];
+            if (request.status != Status.Claimable) continue;
+
+            uint256 available = isShares ? request.shares : request.assets;
+            if (remaining >= available) {
+                shares += request.shares;
+                assets += request.assets;
+                remaining -= available;
+
+                _burn(requestId);
+                request.status = Status.Completed;
+            } else {
+                uint256 partShares = isShares
+                    ? remaining
+                    : Math.mulDiv(request.shares, remaining, request.assets, Math.Rounding.Ceil);
+                uint256 partAssets = isShares
+                    ? Math.mulDiv(request.assets, remaining, request.shares)
+                    : remaining;
+
+                request.shares -= partShares;
+                request.assets -= partAssets;
+                claimableShares[controller] -= partShares;
+                claimableAssets[controller] -= partAssets;
+
+                shares += partShares;
+                assets += partAssets;
+                remaining = 0;
+            }
+        }
+        if (remaining > 0) revert ExceedsClaimable();
+
+        asset.safeTransfer(receiver, assets);
+    }
+
+    /**
+     * @notice Cancel a pending request
+     * @param caller Account cancelling the request, must hold or be approved for the ticket
+    */
+
+    function cancel(uint256 requestId, address caller)
+        external
+        onlyVault
+        returns (address holder, uint256 assets)
+    {
+        Request storage request = _authorizedRequest(requestId, caller);
+        if (request.status != Status.Pending) revert WithdrawalNotCancellable();
+
+        holder = ownerOf(requestId);
+        assets = request.assets;
+
+        request.status = Status.Cancelled;
+        _burn(requestId);
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice Assets needed to fulfil the next `maxCount` pending requests
+    */
+
+    function pendingDemand(uint256 maxCount) external view returns (uint256 demand) {
+        uint256 counted;
+        for (uint256 i = head; i < requests.length && counted < maxCount; i++) {
+            if (requests[i].status != Status.Pending) continue;
+            demand += requests[i].assets;
+            counted++;
+        }
+    }
+
+    /**
+     * @notice Shares of a request held by `controller` that are in `status`
+    */
+
+    function sharesOf(uint256 requestId, address controller, Status status) external view returns (uint256) {
+        if (requestId >= requests.length || _ownerOf(requestId) != controller) return 0;
+
+        Request storage request = requests[requestId];
+        return request.status == status ? request.shares : 0;
+    }
+
+    /**
+     * @notice Get a request
+    */
+
+    function getRequest(uint256 requestId) external view returns (Request memory) {
+        if (requestId >= requests.length) revert NoWithdrawalRequest();
+        return requests[requestId];
+    }
+
+    /**
+     * @notice Get the status of a request
+    */
+
+    function statusOf(uint256 requestId) external view returns (Status) {
+        if (requestId >= requests.length) revert NoWithdrawalRequest();
+        return requests[requestId].status;
+    }
+
+    /**
+     * @notice Get the ids of the requests queued by an owner
+    */
+
+    function getRequestIds(address owner) external view returns (uint256[] memory) {
+        return _ownerRequestIds[owner];
+    }
+
+    /**
+     * @notice Get the requests queued by an owner
+    */
+
+    function getRequestsByOwner(address owner) external view returns (Request[] memory result) {
+        uint256[] storage ids = _ownerRequestIds[owner];
+        result = new Request[](ids.length);
+        for (uint256 i = 0; i < ids.length; i++) {
+            result[i] = requests[ids[i]];
+        }
+    }
+
+    /**
+     * @notice Total number of requests ever queued
+    */
+
+    function requestCount() external view returns (uint256) {
+        return requests.length;
+    }
+
+    /**
+     * @notice Whether `spender` holds the ticket or is approved to manage it
+    */
+
+    function isAuthorized(address spender, uint256 requestId) public view returns (bool) {
+        return _isAuthorized(_ownerOf(requestId), spender, requestId);
+    }
+
+    /**
+     * @notice Request data carried by a ticket
+    */
+
+    function ticketInfo(uint256 requestId) external view returns (
+        uint256 shares,
+        uint256 assets,
+        uint256 timestamp,
+        Status status
+    ) {
+        _requireOwned(requestId);
+        Request storage request = requests[requestId];
+        return (request.shares, request.assets, request.timestamp, request.status);
+    }
+
+    // ============ Internal Functions ============
+
+    /**
+     * @dev Keeps claimable totals with the ticket holder when claimable tickets move
+    */
+
+    function _update(address to, uint256 tokenId, address auth) internal override returns (address from) {
+        from = super._update(to, tokenId, auth);
+
+        Request storage request = requests[tokenId];
+        if (request.status != Status.Claimable) return from;
+
+        if (from != address(0)) {
+            claimableShares[from] -= request.shares;
+            claimableAssets[from] -= request.assets;
+        }
+        if (to != address(0)) {
+            claimableShares[to] += request.shares;
+            claimableAssets[to] += request.assets;
+        }
+    }
+
+    function _authorizedRequest(uint256 requestId, address caller) internal view returns (Request storage) {
+        if (requestId >= requests.length) revert NoWithdrawalRequest();
+        if (!isAuthorized(caller, requestId)) revert NotTicketHolder();
+        return requests[requestId];
+    }
+
+    function _skipInactive(uint256 i) internal view returns (uint256) {
+        while (i < requests.length && requests[i].status != Status.Pending) {
+            i++;
+        }
+        return i;
+    }
+}
@@ -0,0 +1,67 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC4626.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "../interfaces/IStrategyAdapter.sol";
+
+/**
+ * @title ERC4626Adapter
+ * @notice Strategy adapter for ERC-4626 compliant strategies
+*/
+
+contract ERC4626Adapter is IStrategyAdapter {
+    using SafeERC20 for IERC20;
+
+    /**
+     * @notice Deposit assets into an ERC-4626 strategy
+    */
+
+    function deposit(address strategy, uint256 assets) external virtual {
+        IERC4626 strategyVault = IERC4626(strategy);
+
+        IERC20(strategyVault.asset()).forceApprove(strategy, assets);
+        strategyVault.deposit(assets, address(this));
+    }
+
+    /**
+     * @notice Redeem the shares backing `assets` from an ERC-4626 strategy
+    */
+
+    function withdraw(address strategy, uint256 assets) external virtual returns (uint256 withdrawn) {
+        IERC4626 strategyVault = IERC4626(strategy);
+
+        uint256 shares = strategyVault.convertToShares(assets);
+        uint256 balance = strategyVault.balanceOf(address(this));
+        if (shares > balance) shares = balance;
+        if (shares == 0) return 0;
+
+        withdrawn = strategyVault.redeem(shares, address(this), address(this));
+    }
+
+    /**
+     * @notice Value of an account's strategy shares
+    */
+
+    function balanceOf(address strategy, address account) public view virtual returns (uint256) {
+        IERC4626 strategyVault = IERC4626(strategy);
+        return strategyVault.convertToAssets(strategyVault.balanceOf(account));
+    }
+
+    /**
+     * @notice Assets currently withdrawable from the strategy
+    */
+
+    function maxWithdraw(address strategy, address account) public view virtual returns (uint256) {
+        return IERC4626(strategy).maxWithdraw(account);
+    }
+
+    /**
+     * @notice Assets backing one whole strategy share
+    */
+
+    function pricePerShare(address strategy) external view virtual returns (uint256) {
+        IERC4626 strategyVault = IERC4626(strategy);
+        return strategyVault.convertToAssets(10 ** strategyVault.decimals());
+    }
+}
@@ -0,0 +1,83 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "../interfaces/IStrategyAdapter.sol";
+
+/**
+ * @notice Minimal interface of HLP-style pools (deposit/withdraw by amount, share token)
+*/
+
+interface IHLPStrategy is IERC20 {
+    function asset() external view returns (IERC20);
+    function deposit(uint256 assets) external returns (uint256 shares);
+    function withdraw(uint256 shares) external returns (uint256 assets);
+    function convertToAssets(uint256 shares) external view returns (uint256);
+    function convertToShares(uint256 assets) external view returns (uint256);
+}
+
+/**
+ * @title HLPAdapter
+ * @notice Strategy adapter for HLP-style (non-ERC4626) liquidity pools
+*/
+
+contract HLPAdapter is IStrategyAdapter {
+    using SafeERC20 for IERC20;
+
+    /**
+     * @notice Deposit assets into the pool
+    */
+
+    function deposit(address strategy, uint256 assets) external {
+        IHLPStrategy pool = IHLPStrategy(strategy);
+
+        pool.asset().forceApprove(strategy, assets);
+        pool.deposit(assets);
+    }
+
+    /**
+     * @notice Burn the pool shares backing `assets`
+    */
+
+    function withdraw(address strategy, uint256 assets) external returns (uint256 withdrawn) {
+        IHLPStrategy pool = IHLPStrategy(strategy);
+
+        uint256 balance = pool.balanceOf(address(this));
+        if (balance == 0) return 0;
+
+        uint256 shares = pool.convertToShares(assets);
+        if (shares > balance) shares = balance;
+        if (shares == 0) return 0;
+
+        withdrawn = pool.withdraw(shares);
+    }
+
+    /**
+     * @notice Value of an account's pool shares
+    */
+
+    function balanceOf(address strategy, address account) public view returns (uint256) {
+        IHLPStrategy pool = IHLPStrategy(strategy);
+
+        uint256 shares = pool.balanceOf(account);
+        return shares == 0 ? 0 : pool.convertToAssets(shares);
+    }
+
+    /**
+     * @notice HLP pools have no withdrawal restrictions, so the full position is withdrawable
+    */
+
+    function maxWithdraw(address strategy, address account) external view returns (uint256) {
+        return balanceOf(strategy, account);
+    }
+
+    /**
+     * @notice Assets backing 1e18 pool shares, 0 while the pool is empty
+    */
+
+    function pricePerShare(address strategy) external view returns (uint256) {
+        IHLPStrategy pool = IHLPStrategy(strategy);
+        return pool.totalSupply() == 0 ? 0 : pool.convertToAssets(1e18);
+    }
+}
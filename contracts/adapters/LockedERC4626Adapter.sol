@@ -0,0 +1,90 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./ERC4626Adapter.sol";
+import "../interfaces/ILockupStrategyAdapter.sol";
+
+/**
+ * @notice ERC-4626 strategies that lock deposits and expose a queue/process withdrawal flow
+*/
+
+interface ILockedStrategy is IERC4626 {
+    function LOCKUP_PERIOD() external view returns (uint256);
+    function depositTimestamp(address account) external view returns (uint256);
+    function pendingWithdrawals(address account) external view returns (uint256);
+    function queueWithdrawal(uint256 shares) external;
+    function processWithdrawal() external returns (uint256 assets);
+}
+
+/**
+ * @title LockedERC4626Adapter
+ * @notice Strategy adapter for ERC-4626 strategies with a lockup period
+ * @dev Instant withdrawals are only reported as available once the lockup has ended
+*/
+
+contract LockedERC4626Adapter is ERC4626Adapter, ILockupStrategyAdapter {
+    /**
+     * @notice Queue the shares backing `assets` in the strategy's withdrawal queue
+    */
+
+    function requestWithdrawal(address strategy, uint256 assets)
+        external
+        returns (uint256 requested, uint256 unlockTime)
+    {
+        ILockedStrategy lockedStrategy = ILockedStrategy(strategy);
+
+        uint256 shares = lockedStrategy.convertToShares(assets);
+        uint256 balance = lockedStrategy.balanceOf(address(this));
+        if (shares > balance) shares = balance;
+        if (shares == 0) return (0, 0);
+
+        lockedStrategy.queueWithdrawal(shares);
+
+        requested = lockedStrategy.convertToAssets(shares);
+        unlockTime = _unlockTime(lockedStrategy, address(this));
+    }
+
+    /**
+     * @notice Process the strategy's queued withdrawal
+    */
+
+    function claimWithdrawal(address strategy) external returns (uint256 claimed) {
+        claimed = ILockedStrategy(strategy).processWithdrawal();
+    }
+
+    /**
+     * @notice Assets queued in the strategy and their unlock time
+    */
+
+    function pendingWithdrawal(address strategy, address account)
+        external
+        view
+        returns (uint256 assets, uint256 unlockTime)
+    {
+        ILockedStrategy lockedStrategy = ILockedStrategy(strategy);
+
+        uint256 shares = lockedStrategy.pendingWithdrawals(account);
+        if (shares == 0) return (0, 0);
+
+        assets = lockedStrategy.convertToAssets(shares);
+        unlockTime = _unlockTime(lockedStrategy, account);
+    }
+
+    /**
+     * @notice Nothing is instantly withdrawable while the lockup is running
+    */
+
+    function maxWithdraw(address strategy, address account)
+        public
+        view
+        override(ERC4626Adapter, IStrategyAdapter)
+        returns (uint256)
+    {
+        if (block.timestamp < _unlockTime(ILockedStrategy(strategy), account)) return 0;
+        return super.maxWithdraw(strategy, account);
+    }
+
+    function _unlockTime(ILockedStrategy lockedStrategy, address account) internal view returns (uint256) {
+        return lockedStrategy.depositTimestamp(account) + lockedStrategy.LOCKUP_PERIOD();
+    }
+}
@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./ERC4626Adapter.sol";
+import "../interfaces/IRewardStrategyAdapter.sol";
+
+/**
+ * @notice ERC-4626 strategies that accrue reward tokens to their depositors
+*/
+
+interface IRewardStrategy is IERC4626 {
+    function rewardTokens() external view returns (address[] memory);
+    function claimRewards(address receiver) external returns (uint256[] memory amounts);
+}
+
+/**
+ * @title RewardERC4626Adapter
+ * @notice Strategy adapter for ERC-4626 strategies that pay incentives in reward tokens
+*/
+
+contract RewardERC4626Adapter is ERC4626Adapter, IRewardStrategyAdapter {
+    /**
+     * @notice Claim the strategy's reward tokens to the vault
+    */
+
+    function claimRewards(address strategy)
+        external
+        returns (address[] memory tokens, uint256[] memory amounts)
+    {
+        IRewardStrategy rewardStrategy = IRewardStrategy(strategy);
+
+        tokens = rewardStrategy.rewardTokens();
+        amounts = rewardStrategy.claimRewards(address(this));
+    }
+}
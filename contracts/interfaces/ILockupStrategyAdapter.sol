@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./IStrategyAdapter.sol";
+
+/**
+ * @title ILockupStrategyAdapter
+ * @notice Adapter extension for strategies that release funds through their own withdrawal queue
+ * @dev `requestWithdrawal` and `claimWithdrawal` are executed via delegatecall from the vault
+ */
+
+interface ILockupStrategyAdapter is IStrategyAdapter {
+    /**
+     * @notice Queue up to `assets` for withdrawal in the strategy's own queue
+     * @return requested Assets queued (valued at request time)
+     * @return unlockTime Timestamp at which the queued assets can be claimed
+    */
+
+    function requestWithdrawal(address strategy, uint256 assets) external returns (uint256 requested, uint256 unlockTime);
+
+    /**
+     * @notice Claim everything queued in the strategy once it is unlocked
+     * @return claimed Assets received
+    */
+
+    function claimWithdrawal(address strategy) external returns (uint256 claimed);
+
+    /**
+     * @notice Assets `account` has queued in `strategy` and when they unlock
+    */
+
+    function pendingWithdrawal(address strategy, address account) external view returns (uint256 assets, uint256 unlockTime);
+}
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IPriceFeed
+ * @notice Subset of Chainlink's AggregatorV3Interface used to bound swap slippage
+ */
+
+interface IPriceFeed {
+    function decimals() external view returns (uint8);
+
+    function latestRoundData() external view returns (
+        uint80 roundId,
+        int256 answer,
+        uint256 startedAt,
+        uint256 updatedAt,
+        uint80 answeredInRound
+    );
+}
@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./IStrategyAdapter.sol";
+
+/**
+ * @title IRewardStrategyAdapter
+ * @notice Adapter extension for strategies that pay out reward tokens on top of the base asset
+ * @dev `claimRewards` is executed via delegatecall from the vault, so rewards land in the vault
+ */
+
+interface IRewardStrategyAdapter is IStrategyAdapter {
+    /**
+     * @notice Claim every reward token `strategy` owes the vault
+     * @return tokens Reward tokens claimed
+     * @return amounts Amount claimed of each token
+    */
+
+    function claimRewards(address strategy) external returns (address[] memory tokens, uint256[] memory amounts);
+}
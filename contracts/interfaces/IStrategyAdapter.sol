@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IStrategyAdapter
+ * @notice Common interface the vault uses to talk to every underlying strategy
+ * @dev Adapters are stateless. The vault delegatecalls `deposit` and `withdraw` so that
+ *      positions are always held by the vault itself, and calls the view functions directly
+ *      with the vault as `account`.
+ */
+
+interface IStrategyAdapter {
+    /**
+     * @notice Deposit `assets` of the strategy's underlying asset into `strategy`
+     * @dev Executed via delegatecall from the vault
+    */
+
+    function deposit(address strategy, uint256 assets) external;
+
+    /**
+     * @notice Withdraw up to `assets` of the underlying asset from `strategy`
+     * @dev Executed via delegatecall from the vault
+     * @return withdrawn Amount of underlying actually received
+    */
+
+    function withdraw(address strategy, uint256 assets) external returns (uint256 withdrawn);
+
+    /**
+     * @notice Value of `account`'s position in `strategy`, in underlying asset units
+    */
+
+    function balanceOf(address strategy, address account) external view returns (uint256);
+
+    /**
+     * @notice Amount of underlying `account` can withdraw from `strategy` right now
+    */
+
+    function maxWithdraw(address strategy, address account) external view returns (uint256);
+
+    /**
+     * @notice Underlying value of a fixed amount of `strategy` shares
+     * @dev Only compared against earlier readings of the same adapter, so the share unit is up
+     *      to the adapter. Used by the vault's health checks
+    */
+
+    function pricePerShare(address strategy) external view returns (uint256);
+}
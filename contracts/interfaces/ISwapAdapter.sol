@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ISwapAdapter
+ * @notice Interface the vault uses to sell harvested reward tokens for its asset
+ * @dev Unlike strategy adapters, swap adapters are called directly: the vault approves exactly
+ *      `amountIn` and checks what it received itself, so an adapter never runs in the vault's
+ *      context and its reported output is not trusted
+ */
+
+interface ISwapAdapter {
+    /**
+     * @notice Sell `amountIn` of `tokenIn`, pulled from the caller, for at least `minAmountOut` of `tokenOut`
+     * @param recipient Receiver of `tokenOut`
+     * @return amountOut Amount of `tokenOut` sent to `recipient`
+    */
+
+    function swap(
+        address tokenIn,
+        address tokenOut,
+        uint256 amountIn,
+        uint256 minAmountOut,
+        address recipient
+    ) external returns (uint256 amountOut);
+}
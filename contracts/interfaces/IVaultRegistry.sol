@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IVaultRegistry
+ * @notice Strategy whitelist of the VaultRegistry, as vaults bound to it check it
+ */
+
+interface IVaultRegistry {
+    struct StrategyApproval {
+        bool approved;
+        address adapter; // IStrategyAdapter to add it with, `address(0)` for the vault's ERC-4626 adapters
+        bool hasLockup;
+    }
+
+    function strategyApproval(address strategy) external view returns (StrategyApproval memory);
+}
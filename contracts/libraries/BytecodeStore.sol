@@ -0,0 +1,62 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title BytecodeStore
+ * @notice Stores immutable byte blobs as contract code (SSTORE2-style)
+ * @dev Each chunk becomes the runtime code of a data contract, prefixed with a STOP opcode so it
+ *      can never be executed. Blobs larger than one contract are split across several chunks
+*/
+
+library BytecodeStore {
+    uint256 internal constant MAX_CHUNK_SIZE = 24575; // Contract size limit minus the STOP prefix
+
+    error WriteFailed();
+
+    /**
+     * @notice Store `data` across as many data contracts as needed
+     * @return pointers Data contracts, in order
+    */
+
+    function write(bytes calldata data) internal returns (address[] memory pointers) {
+        pointers = new address[]((data.length + MAX_CHUNK_SIZE - 1) / MAX_CHUNK_SIZE);
+
+        for (uint256 i = 0; i < pointers.length; i++) {
+            uint256 start = i * MAX_CHUNK_SIZE;
+            uint256 end = start + MAX_CHUNK_SIZE < data.length ? start + MAX_CHUNK_SIZE : data.length;
+            pointers[i] = _writeChunk(data[start:end]);
+        }
+    }
+
+    /**
+     * @notice Concatenate the data stored behind `pointers`
+    */
+
+    function read(address[] memory pointers) internal view returns (bytes memory data) {
+        for (uint256 i = 0; i < pointers.length; i++) {
+            address pointer = pointers[i];
+            uint256 size = pointer.code.length - 1;
+            bytes memory chunk = new bytes(size);
+            assembly {
+                extcodecopy(pointer, add(chunk, 32), 1, size)
+            }
+            data = bytes.concat(data, chunk);
+        }
+    }
+
+    function _writeChunk(bytes calldata chunk) private returns (address pointer) {
+        // PUSH4 size, DUP1, PUSH1 14, PUSH1 0, CODECOPY, PUSH1 0, RETURN: deploys everything
+        // after this 14-byte prefix as the runtime code
+        bytes memory creationCode = abi.encodePacked(
+            hex"63",
+            uint32(chunk.length + 1),
+            hex"80600e6000396000f3",
+            hex"00",
+            chunk
+        );
+        assembly {
+            pointer := create(0, add(creationCode, 32), mload(creationCode))
+        }
+        if (pointer == address(0)) revert WriteFailed();
+    }
+}
@@ -0,0 +1,973 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "../interfaces/IStrategyAdapter.sol";
+import "../interfaces/ILockupStrategyAdapter.sol";
+import "../interfaces/IRewardStrategyAdapter.sol";
+import "../interfaces/ISwapAdapter.sol";
+import "../interfaces/IVaultRegistry.sol";
+
+/**
+ * @title StrategyLogic
+ * @notice Strategy bookkeeping and capital movements of the MultiStrategyVault
+ * @dev Deployed once and linked into the vault, so its external functions run through delegatecall
+ *      on the vault's `State`. Adapters are delegatecalled from here as well, which keeps every
+ *      position held by the vault itself
+*/
+
+library StrategyLogic {
+    using SafeERC20 for IERC20;
+
+    uint256 internal constant MAX_ALLOCATION_BPS = 6000; // Default per-strategy cap (60%)
+    uint256 internal constant BPS_DENOMINATOR = 10000;
+
+    enum RiskTier { Unrated, BlueChip, Established, Experimental }
+
+    enum HealthFailure { None, Loss, PriceDeviation, Drawdown }
+
+    struct Strategy {
+        address strategyAddress;
+        address adapter; // IStrategyAdapter used to interact with the strategy
+        uint256 allocationBps; // Basis points (100 = 1%)
+        bool isERC4626;
+        bool hasLockup;
+        bool isActive;
+        uint256 currentDebt; // Assets lent to the strategy, as of its last report
+        uint256 lastReport;
+        uint256 maxAllocationBps; // Cap on allocationBps
+        uint256 maxDebt; // Cap on currentDebt, in asset units
+        RiskTier riskTier;
+    }
+
+    struct Health {
+        uint256 maxLossBps; // Largest loss per report, in bps of debt (0 = unchecked)
+        uint256 maxPriceDeviationBps; // Largest price-per-share move since the last check (0 = unchecked)
+        uint256 maxDrawdownBps; // Largest price-per-share drop from its peak (0 = unchecked)
+        bool autoExit; // Zero the allocation and unwind the strategy when a check fails
+        bool frozen; // No new deposits while set
+        uint256 lastPricePerShare; // Price per share at the last check
+        uint256 peakPricePerShare;
+    }
+
+    struct PendingUnlock {
+        uint256 assets; // Assets queued in the strategy, valued at request time
+        uint256 unlockTime;
+    }
+
+    struct RebalanceLimits {
+        uint256 driftToleranceBps; // Drift from target, in bps of total assets, that is left alone
+        uint256 minMove; // Smallest deposit or withdrawal worth making
+        uint256 maxMove; // Most assets withdrawn, and most deposited, per call (0 = unlimited)
+    }
+
+    struct Move {
+        uint256 strategyId;
+        uint256 currentDebt;
+        uint256 targetDebt;
+        int256 amount; // Positive to deposit, negative to withdraw
+    }
+
+    struct State {
+        Strategy[] strategies; // Every strategy ever added; ids are indexes and never change
+        uint256[] activeIds; // Ids of active strategies, the only ones loops go through
+        uint256[] unlockingIds; // Ids of strategies with a pending unlock
+        mapping (uint256 => PendingUnlock) pendingUnlocks;
+        uint256 totalDebt; // Sum of active strategies' current debt
+        uint256 totalPendingUnlocks;
+        uint256 profitUnlockPeriod; // Reported profit is released linearly over this period
+        uint256 lockedProfit; // Profit still locked at `lastProfitReport`
+        uint256 lastProfitReport;
+        mapping (uint256 => Health) health;
+        mapping (address => address) swapAdapters; // Reward token => ISwapAdapter that sells it
+        address registry; // IVaultRegistry whose whitelist new strategies must be on (0 = none)
+        mapping (address => bool) approvedAdapters; // Custom adapters the admin trusts, used without a registry
+    }
+
+    // ============ Events ============
+    event StrategyAdded(address indexed strategy, address indexed adapter, uint256 allocationBps, bool isERC4626, bool hasLockup);
+    event StrategyUpdated(uint256 indexed strategyId, uint256 newAllocationBps);
+    event StrategyRemoved(uint256 indexed strategyId);
+    event StrategyEmergencyExit(uint256 indexed strategyId, uint256 withdrawn, uint256 loss);
+    event StrategyMigrated(uint256 indexed strategyId, uint256 indexed newStrategyId, address newStrategy, uint256 assetsMoved);
+    event StrategyRiskParamsUpdated(uint256 indexed strategyId, uint256 maxAllocationBps, uint256 maxDebt, RiskTier riskTier);
+    event StrategyReported(uint256 indexed strategyId, uint256 gain, uint256 loss, uint256 currentDebt);
+    event UnlockRequested(uint256 indexed strategyId, uint256 assets, uint256 unlockTime);
+    event UnlockClaimed(uint256 indexed strategyId, uint256 assets);
+    event StrategyHealthParamsUpdated(uint256 indexed strategyId, uint256 maxLossBps, uint256 maxPriceDeviationBps, uint256 maxDrawdownBps, bool autoExit);
+    event StrategyHealthAlert(uint256 indexed strategyId, HealthFailure failure, uint256 pricePerShare, bool exited);
+    event StrategyFrozen(uint256 indexed strategyId, bool frozen);
+    event RewardTokenUpdated(address indexed token, address swapAdapter);
+    event RewardsClaimed(uint256 indexed strategyId, address[] tokens, uint256[] amounts);
+    event RewardsSold(address indexed token, address indexed swapAdapter, uint256 amountIn, uint256 amountOut);
+    event Harvested(uint256 proceeds);
+
+    // ============ Errors ============
+    error InvalidAllocation();
+    error AllocationExceedsMax();
+    error TotalAllocationInvalid();
+    error StrategyNotActive();
+    error InvalidStrategyIndex();
+    error StrategyNotDrained();
+    error AllocationIncreaseNotAllowed();
+    error InvalidRewardToken();
+    error SlippageExceeded();
+    error InvalidAdapter();
+    error StrategyNotApproved(address strategy);
+
+    // ============ Strategy Management ============
+
+    /**
+     * @notice Add a strategy with the default risk parameters
+    */
+
+    function addStrategy(
+        State storage self,
+        address strategyAddress,
+        address adapter,
+        uint256 allocationBps,
+        bool isERC4626,
+        bool hasLockup
+    ) external {
+        _checkApproval(self, strategyAddress, adapter, isERC4626, hasLockup);
+        if (allocationBps > MAX_ALLOCATION_BPS) revert AllocationExceedsMax();
+        if (strategyAddress == address(0)) revert InvalidAllocation();
+
+        // Verify total allocation doesn't exceed 100%
+        if (_totalAllocation(self) + allocationBps > BPS_DENOMINATOR) revert TotalAllocationInvalid();
+
+        _pushStrategy(self, strategyAddress, adapter, allocationBps, isERC4626, hasLockup);
+    }
+
+    /**
+     * @notice Update a strategy's allocation within its cap
+     * @dev With `deRiskOnly` set the allocation may only be lowered
+    */
+
+    function updateAllocation(
+        State storage self,
+        uint256 strategyId,
+        uint256 newAllocationBps,
+        bool deRiskOnly
+    ) external {
+        Strategy storage strategy = _activeStrategy(self, strategyId);
+        if (deRiskOnly && newAllocationBps > strategy.allocationBps) revert AllocationIncreaseNotAllowed();
+        if (newAllocationBps > strategy.maxAllocationBps) revert AllocationExceedsMax();
+
+        if (_totalAllocation(self) - strategy.allocationBps + newAllocationBps > BPS_DENOMINATOR) {
+            revert TotalAllocationInvalid();
+        }
+
+        strategy.allocationBps = newAllocationBps;
+        emit StrategyUpdated(strategyId, newAllocationBps);
+    }
+
+    /**
+     * @notice Set a strategy's risk limits
+    */
+
+    function setRiskParams(
+        State storage self,
+        uint256 strategyId,
+        uint256 maxAllocationBps,
+        uint256 maxDebt,
+        RiskTier riskTier
+    ) external {
+        if (strategyId >= self.strategies.length) revert InvalidStrategyIndex();
+        if (maxAllocationBps > BPS_DENOMINATOR) revert InvalidAllocation();
+
+        Strategy storage strategy = self.strategies[strategyId];
+        if (strategy.allocationBps > maxAllocationBps) revert AllocationExceedsMax();
+
+        strategy.maxAllocationBps = maxAllocationBps;
+        strategy.maxDebt = maxDebt;
+        strategy.riskTier = riskTier;
+
+        emit StrategyRiskParamsUpdated(strategyId, maxAllocationBps, maxDebt, riskTier);
+    }
+
+    /**
+     * @notice Set the thresholds of a strategy's health checks
+    */
+
+    function setHealthParams(
+        State storage self,
+        uint256 strategyId,
+        uint256 maxLossBps,
+        uint256 maxPriceDeviationBps,
+        uint256 maxDrawdownBps,
+        bool autoExit
+    ) external {
+        if (strategyId >= self.strategies.length) revert InvalidStrategyIndex();
+        if (
+            maxLossBps > BPS_DENOMINATOR ||
+            maxPriceDeviationBps > BPS_DENOMINATOR ||
+            maxDrawdownBps > BPS_DENOMINATOR
+        ) revert InvalidAllocation();
+
+        Health storage health = self.health[strategyId];
+        health.maxLossBps = maxLossBps;
+        health.maxPriceDeviationBps = maxPriceDeviationBps;
+        health.maxDrawdownBps = maxDrawdownBps;
+        health.autoExit = autoExit;
+
+        emit StrategyHealthParamsUpdated(strategyId, maxLossBps, maxPriceDeviationBps, maxDrawdownBps, autoExit);
+    }
+
+    /**
+     * @notice Freeze or unfreeze deposits into a strategy
+     * @dev Unfreezing takes the current price per share as the new reference and peak
+    */
+
+    function setFrozen(State storage self, uint256 strategyId, bool frozen) external {
+        _activeStrategy(self, strategyId);
+        Health storage health = self.health[strategyId];
+
+        health.frozen = frozen;
+        if (!frozen) {
+            uint256 price = _pricePerShare(self, strategyId);
+            health.lastPricePerShare = price;
+            health.peakPricePerShare = price;
+        }
+
+        emit StrategyFrozen(strategyId, frozen);
+    }
+
+    /**
+     * @notice Drain a strategy and deactivate it
+    */
+
+    function removeStrategy(State storage self, uint256 strategyId) external {
+        _retire(self, strategyId, false);
+        emit StrategyRemoved(strategyId);
+    }
+
+    /**
+     * @notice Pull everything that can be pulled from a strategy and deactivate it
+     * @dev Unlike `removeStrategy` this does not require the strategy to be liquid: debt that
+     *      cannot be withdrawn or queued for unlock is written off as a loss. The written-off
+     *      position stays with the vault and is picked up as a gain if the strategy is added again
+     * @return withdrawn Assets that came back to the vault right away
+     * @return loss Loss recognized by the report and the write-off
+    */
+
+    function emergencyExit(State storage self, uint256 strategyId)
+        external
+        returns (uint256 withdrawn, uint256 loss)
+    {
+        (withdrawn, loss) = _retire(self, strategyId, true);
+        emit StrategyEmergencyExit(strategyId, withdrawn, loss);
+    }
+
+    /**
+     * @notice Replace a strategy with `newStrategyAddress` behind the same adapter
+     * @dev The replacement inherits the allocation and risk parameters and receives what could be
+     *      withdrawn from the old strategy right away; unlocks still pending come back to idle
+     * @return newStrategyId Id of the replacement strategy
+    */
+
+    function migrateStrategy(State storage self, uint256 strategyId, address newStrategyAddress)
+        external
+        returns (uint256 newStrategyId)
+    {
+        if (newStrategyAddress == address(0)) revert InvalidAllocation();
+        Strategy storage current = _activeStrategy(self, strategyId);
+        _checkApproval(self, newStrategyAddress, current.adapter, current.isERC4626, current.hasLockup);
+
+        (uint256 withdrawn, ) = _retire(self, strategyId, false);
+        Strategy memory old = self.strategies[strategyId];
+
+        newStrategyId = _pushStrategy(
+            self,
+            newStrategyAddress,
+            old.adapter,
+            old.allocationBps,
+            old.isERC4626,
+            old.hasLockup
+        );
+
+        Strategy storage replacement = self.strategies[newStrategyId];
+        replacement.maxAllocationBps = old.maxAllocationBps;
+        replacement.maxDebt = old.maxDebt;
+        replacement.riskTier = old.riskTier;
+
+        Health storage oldHealth = self.health[strategyId];
+        Health storage newHealth = self.health[newStrategyId];
+        newHealth.maxLossBps = oldHealth.maxLossBps;
+        newHealth.maxPriceDeviationBps = oldHealth.maxPriceDeviationBps;
+        newHealth.maxDrawdownBps = oldHealth.maxDrawdownBps;
+        newHealth.autoExit = oldHealth.autoExit;
+
+        uint256 assetsMoved = _min(withdrawn, old.maxDebt);
+        if (assetsMoved > 0) _deposit(self, newStrategyId, assetsMoved);
+
+        emit StrategyMigrated(strategyId, newStrategyId, newStrategyAddress, assetsMoved);
+    }
+
+    // ============ Capital Movements ============
+
+    /**
+     * @notice Plan the moves that bring `strategyIds` towards their target debt
+     * @dev Withdrawals are planned first and only their instantly withdrawable part counts as
+     *      liquidity for deposits. Strategies within the drift tolerance and moves below the
+     *      minimum are left alone; frozen strategies and lockup strategies with a pending unlock
+     *      get no deposits
+     * @param strategyIds Active strategies to rebalance, without duplicates
+     * @param idle Idle assets of the vault
+     * @param reserved Idle assets that must stay in the vault (owed to withdrawals and the idle buffer)
+     * @param vaultTotalAssets Total assets the targets are computed from
+     * @return moves One entry per strategy, with `amount` 0 where nothing moves
+    */
+
+    function planRebalance(
+        State storage self,
+        uint256[] memory strategyIds,
+        uint256 idle,
+        uint256 reserved,
+        uint256 vaultTotalAssets,
+        RebalanceLimits memory limits
+    ) public view returns (Move[] memory moves) {
+        moves = new Move[](strategyIds.length);
+        uint256 tolerance = (vaultTotalAssets * limits.driftToleranceBps) / BPS_DENOMINATOR;
+
+        uint256 freed = _planWithdrawals(self, moves, strategyIds, vaultTotalAssets, tolerance, limits);
+        uint256 availableAssets = idle + freed > reserved ? idle + freed - reserved : 0;
+        _planDeposits(self, moves, availableAssets, tolerance, limits);
+    }
+
+    /**
+     * @notice Execute the moves planned by `planRebalance`
+     * @dev Every strategy's health is checked first, so a strategy that fails is frozen (and
+     *      possibly exited) before any deposit is planned. Deposits are capped at the liquidity
+     *      actually available after the withdrawals
+     * @param asset Underlying asset of the vault
+    */
+
+    function rebalance(
+        State storage self,
+        IERC20 asset,
+        uint256[] memory strategyIds,
+        uint256 reserved,
+        uint256 vaultTotalAssets,
+        RebalanceLimits memory limits
+    ) external returns (Move[] memory moves) {
+        for (uint256 i = 0; i < strategyIds.length; i++) {
+            _activeStrategy(self, strategyIds[i]);
+            _checkHealth(self, strategyIds[i], 0, 0);
+        }
+
+        moves = planRebalance(self, strategyIds, asset.balanceOf(address(this)), reserved, vaultTotalAssets, limits);
+
+        for (uint256 i = 0; i < moves.length; i++) {
+            if (moves[i].amount < 0) {
+                _unwind(self, moves[i].strategyId, uint256(-moves[i].amount));
+            }
+        }
+
+        uint256 idle = asset.balanceOf(address(this));
+        uint256 availableAssets = idle > reserved ? idle - reserved : 0;
+
+        for (uint256 i = 0; i < moves.length && availableAssets > 0; i++) {
+            if (moves[i].amount > 0) {
+                uint256 amount = _min(uint256(moves[i].amount), availableAssets);
+                _deposit(self, moves[i].strategyId, amount);
+                availableAssets -= amount;
+            }
+        }
+    }
+
+    /**
+     * @notice Free `amount` of liquidity for queued withdrawals
+     * @dev Takes instantly withdrawable funds from every strategy first and only then queues
+     *      unlocks in lockup strategies for what is still missing
+    */
+
+    function freeLiquidity(State storage self, uint256 amount) external {
+        uint256[] memory ids = self.activeIds;
+
+        for (uint256 i = 0; i < ids.length && amount > 0; i++) {
+            uint256 withdrawn = _withdraw(self, ids[i], amount);
+            amount = withdrawn >= amount ? 0 : amount - withdrawn;
+        }
+
+        // Unlocks already in flight will cover part of the shortfall
+        amount = amount > self.totalPendingUnlocks ? amount - self.totalPendingUnlocks : 0;
+
+        for (uint256 i = 0; i < ids.length && amount > 0; i++) {
+            if (!self.strategies[ids[i]].hasLockup) continue;
+
+            uint256 balance = _balance(self, ids[i]);
+            if (balance == 0) continue;
+
+            uint256 requestAmount = balance < amount ? balance : amount;
+            _requestUnlock(self, ids[i], requestAmount);
+            amount -= requestAmount;
+        }
+    }
+
+    /**
+     * @notice Withdraw everything from every active strategy, queueing unlocks where needed
+     * @dev Each strategy is reported first, so losses are recognized before its debt is unwound
+    */
+
+    function unwindAll(State storage self) external {
+        uint256[] memory ids = self.activeIds;
+
+        for (uint256 i = 0; i < ids.length; i++) {
+            _report(self, ids[i]);
+            uint256 balance = _balance(self, ids[i]);
+            if (balance > 0) {
+                _unwind(self, ids[i], balance);
+            }
+        }
+    }
+
+    /**
+     * @notice Claim every pending strategy unlock whose lockup has ended
+     * @dev The strategy may pay out more or less than was queued: a surplus is locked like
+     *      reported profit, a shortfall is absorbed as a loss, and either is reported for the strategy
+    */
+
+    function claimUnlocks(State storage self) external {
+        uint256[] memory ids = self.unlockingIds;
+
+        for (uint256 i = 0; i < ids.length; i++) {
+            uint256 strategyId = ids[i];
+            PendingUnlock memory pending = self.pendingUnlocks[strategyId];
+            if (block.timestamp < pending.unlockTime) continue;
+
+            bytes memory result = Address.functionDelegateCall(
+                self.strategies[strategyId].adapter,
+                abi.encodeCall(
+                    ILockupStrategyAdapter.claimWithdrawal,
+                    (self.strategies[strategyId].strategyAddress)
+                )
+            );
+            uint256 claimed = abi.decode(result, (uint256));
+
+            delete self.pendingUnlocks[strategyId];
+            self.totalPendingUnlocks -= pending.assets;
+            _removeId(self.unlockingIds, strategyId);
+
+            emit UnlockClaimed(strategyId, claimed);
+
+            if (claimed > pending.assets) {
+                uint256 gain = claimed - pending.assets;
+                lockProfit(self, gain);
+                emit StrategyReported(strategyId, gain, 0, self.strategies[strategyId].currentDebt);
+            } else if (claimed < pending.assets) {
+                uint256 loss = pending.assets - claimed;
+                _absorbLoss(self, loss);
+                emit StrategyReported(strategyId, 0, loss, self.strategies[strategyId].currentDebt);
+            }
+        }
+    }
+
+    // ============ Rewards ============
+
+    /**
+     * @notice Register `token` as a reward token sold through `swapAdapter`, or unregister it
+     * @dev The asset, the vault's own shares and strategy share tokens can never be sold
+     * @param swapAdapter ISwapAdapter selling `token` for the asset, `address(0)` to unregister
+    */
+
+    function setRewardToken(State storage self, IERC20 asset, address token, address swapAdapter) external {
+        if (token == address(0) || token == address(asset) || token == address(this)) revert InvalidRewardToken();
+        for (uint256 i = 0; i < self.strategies.length; i++) {
+            if (self.strategies[i].strategyAddress == token) revert InvalidRewardToken();
+        }
+
+        self.swapAdapters[token] = swapAdapter;
+
+        emit RewardTokenUpdated(token, swapAdapter);
+    }
+
+    /**
+     * @notice Claim rewards from `strategyIds` and sell the vault's whole balance of `tokens`
+     * @dev Every asset the harvest brings in, whether from sales or rewards paid in the asset
+     *      itself, is locked like reported profit so it cannot be captured by a well-timed deposit
+     * @param minAmountsOut Fewest assets the sale of each token must return
+     * @return proceeds Assets gained
+    */
+
+    function harvest(
+        State storage self,
+        IERC20 asset,
+        uint256[] calldata strategyIds,
+        address[] calldata tokens,
+        uint256[] calldata minAmountsOut
+    ) external returns (uint256 proceeds) {
+        if (tokens.length != minAmountsOut.length) revert InvalidRewardToken();
+        uint256 assetsBefore = asset.balanceOf(address(this));
+
+        for (uint256 i = 0; i < strategyIds.length; i++) {
+            Strategy storage strategy = _activeStrategy(self, strategyIds[i]);
+
+            bytes memory result = Address.functionDelegateCall(
+                strategy.adapter,
+                abi.encodeCall(IRewardStrategyAdapter.claimRewards, (strategy.strategyAddress))
+            );
+            (address[] memory claimed, uint256[] memory amounts) = abi.decode(result, (address[], uint256[]));
+
+            emit RewardsClaimed(strategyIds[i], claimed, amounts);
+        }
+
+        for (uint256 i = 0; i < tokens.length; i++) {
+            _sellReward(self, asset, tokens[i], minAmountsOut[i]);
+        }
+
+        proceeds = asset.balanceOf(address(this)) - assetsBefore;
+        lockProfit(self, proceeds);
+
+        emit Harvested(proceeds);
+    }
+
+    // ============ Reporting ============
+
+    /**
+     * @notice Compare a strategy's reported value with its debt and record the gain or loss
+    */
+
+    function report(State storage self, uint256 strategyId) external returns (uint256 gain, uint256 loss) {
+        _activeStrategy(self, strategyId);
+        return _report(self, strategyId);
+    }
+
+    /**
+     * @notice Profit that has not been released into the share price yet
+    */
+
+    function currentLockedProfit(State storage self) internal view returns (uint256) {
+        uint256 period = self.profitUnlockPeriod;
+        uint256 elapsed = block.timestamp - self.lastProfitReport;
+        if (elapsed >= period) return 0;
+
+        return (self.lockedProfit * (period - elapsed)) / period;
+    }
+
+    /**
+     * @notice Add `profit` to the locked profit and restart its release
+    */
+
+    function lockProfit(State storage self, uint256 profit) internal {
+        self.lockedProfit = currentLockedProfit(self) + profit;
+        self.lastProfitReport = block.timestamp;
+    }
+
+    // ============ Internal ============
+
+    /**
+     * @notice Sell the vault's balance of a reward token through its swap adapter
+     * @dev The output is measured on the vault's balance rather than taken from the adapter
+    */
+
+    function _sellReward(State storage self, IERC20 asset, address token, uint256 minAmountOut) private {
+        address swapAdapter = self.swapAdapters[token];
+        if (swapAdapter == address(0)) revert InvalidRewardToken();
+
+        uint256 amountIn = IERC20(token).balanceOf(address(this));
+        if (amountIn == 0) return;
+
+        uint256 assetsBefore = asset.balanceOf(address(this));
+        IERC20(token).forceApprove(swapAdapter, amountIn);
+        ISwapAdapter(swapAdapter).swap(token, address(asset), amountIn, minAmountOut, address(this));
+        IERC20(token).forceApprove(swapAdapter, 0);
+
+        uint256 amountOut = asset.balanceOf(address(this)) - assetsBefore;
+        if (amountOut < minAmountOut) revert SlippageExceeded();
+
+        emit RewardsSold(token, swapAdapter, amountIn, amountOut);
+    }
+
+    /**
+     * @notice Check a strategy about to be added against the registry the vault is bound to: it must
+     *      be approved, with the adapter and lockup flag it was approved with
+     * @dev Adapters are delegatecalled with the vault's storage, so besides the vault's own ERC-4626
+     *      adapters only trusted ones are accepted: the one the registry approved for the strategy
+     *      when the vault is bound to a registry, otherwise one the vault admin approved
+    */
+
+    function _checkApproval(
+        State storage self,
+        address strategyAddress,
+        address adapter,
+        bool isERC4626,
+        bool hasLockup
+    ) private view {
+        if (self.registry == address(0)) {
+            if (!isERC4626 && !self.approvedAdapters[adapter]) revert InvalidAdapter();
+            return;
+        }
+
+        IVaultRegistry.StrategyApproval memory approval = IVaultRegistry(self.registry).strategyApproval(strategyAddress);
+        if (!approval.approved || approval.hasLockup != hasLockup) revert StrategyNotApproved(strategyAddress);
+        if (isERC4626 ? approval.adapter != address(0) : approval.adapter != adapter) revert InvalidAdapter();
+    }
+
+    function _pushStrategy(
+        State storage self,
+        address strategyAddress,
+        address adapter,
+        uint256 allocationBps,
+        bool isERC4626,
+        bool hasLockup
+    ) private returns (uint256 strategyId) {
+        strategyId = self.strategies.length;
+
+        self.strategies.push(Strategy({
+            strategyAddress: strategyAddress,
+            adapter: adapter,
+            allocationBps: allocationBps,
+            isERC4626: isERC4626,
+            hasLockup: hasLockup,
+            isActive: true,
+            currentDebt: 0,
+            lastReport: block.timestamp,
+            maxAllocationBps: MAX_ALLOCATION_BPS,
+            maxDebt: type(uint256).max,
+            riskTier: RiskTier.Unrated
+        }));
+        self.activeIds.push(strategyId);
+
+        emit StrategyAdded(strategyAddress, adapter, allocationBps, isERC4626, hasLockup);
+    }
+
+    /**
+     * @notice Report, drain and deactivate a strategy
+     * @dev Lockup strategies are drained into a pending unlock that is claimed as usual. Debt left
+     *      after draining (rounding in the strategy) is recognized as a loss, so the strategy
+     *      leaves `totalDebt` without moving the share price by more than that. Unless `force`
+     *      is set, a strategy without lockup must be liquid enough to be drained in full
+     * @return withdrawn Assets that came back to the vault right away
+     * @return loss Loss recognized by the report and the write-off
+    */
+
+    function _retire(State storage self, uint256 strategyId, bool force)
+        private
+        returns (uint256 withdrawn, uint256 loss)
+    {
+        Strategy storage strategy = _activeStrategy(self, strategyId);
+        if (!force && !strategy.hasLockup && _maxWithdraw(self, strategyId) < _balance(self, strategyId)) {
+            revert StrategyNotDrained();
+        }
+
+        (, loss) = _report(self, strategyId);
+        withdrawn = _unwind(self, strategyId, _balance(self, strategyId));
+
+        uint256 remainingDebt = strategy.currentDebt;
+        if (remainingDebt > 0) {
+            _absorbLoss(self, remainingDebt);
+            self.totalDebt -= remainingDebt;
+            strategy.currentDebt = 0;
+            loss += remainingDebt;
+        }
+
+        strategy.isActive = false;
+        _removeId(self.activeIds, strategyId);
+    }
+
+    function _report(State storage self, uint256 strategyId) private returns (uint256 gain, uint256 loss) {
+        Strategy storage strategy = self.strategies[strategyId];
+
+        uint256 currentAssets = _balance(self, strategyId);
+        uint256 debt = strategy.currentDebt;
+
+        if (currentAssets > debt) {
+            gain = currentAssets - debt;
+            lockProfit(self, gain);
+            self.totalDebt += gain;
+        } else {
+            loss = debt - currentAssets;
+            _absorbLoss(self, loss);
+            self.totalDebt -= loss;
+        }
+
+        strategy.currentDebt = currentAssets;
+        strategy.lastReport = block.timestamp;
+
+        emit StrategyReported(strategyId, gain, loss, currentAssets);
+
+        _checkHealth(self, strategyId, loss, debt);
+    }
+
+    /**
+     * @notice Run a strategy's health checks and react to a failure
+     * @dev A failing strategy is frozen and an alert is emitted; with `autoExit` its allocation is
+     *      zeroed and its position unwound (queued for unlock where needed). Losses are only known
+     *      on reports, price checks run on every call
+     * @param loss Loss just reported, 0 outside reports
+     * @param debt Debt the loss is measured against
+    */
+
+    function _checkHealth(State storage self, uint256 strategyId, uint256 loss, uint256 debt) private {
+        Health storage health = self.health[strategyId];
+        uint256 price = _pricePerShare(self, strategyId);
+
+        HealthFailure failure = _healthFailure(health, price, loss, debt);
+        health.lastPricePerShare = price;
+        if (price > health.peakPricePerShare) health.peakPricePerShare = price;
+        if (failure == HealthFailure.None) return;
+
+        health.frozen = true;
+        bool exit = health.autoExit;
+        if (exit) {
+            self.strategies[strategyId].allocationBps = 0;
+            emit StrategyUpdated(strategyId, 0);
+
+            uint256 balance = _balance(self, strategyId);
+            if (balance > 0) _unwind(self, strategyId, balance);
+        }
+
+        emit StrategyHealthAlert(strategyId, failure, price, exit);
+    }
+
+    /**
+     * @notice Deposit assets to a strategy
+     * @dev Delegatecalls the strategy adapter so the position is held by the vault
+    */
+
+    function _deposit(State storage self, uint256 strategyId, uint256 amount) private {
+        Strategy storage strategy = self.strategies[strategyId];
+
+        Address.functionDelegateCall(
+            strategy.adapter,
+            abi.encodeCall(IStrategyAdapter.deposit, (strategy.strategyAddress, amount))
+        );
+        strategy.currentDebt += amount;
+        self.totalDebt += amount;
+    }
+
+    /**
+     * @notice Withdraw assets from a strategy
+     * @dev Capped at what the adapter reports as withdrawable
+     * @return withdrawn Amount of assets returned to the vault
+    */
+
+    function _withdraw(State storage self, uint256 strategyId, uint256 amount) private returns (uint256 withdrawn) {
+        Strategy storage strategy = self.strategies[strategyId];
+
+        uint256 available = _maxWithdraw(self, strategyId);
+        if (amount > available) amount = available;
+        if (amount == 0) return 0;
+
+        bytes memory result = Address.functionDelegateCall(
+            strategy.adapter,
+            abi.encodeCall(IStrategyAdapter.withdraw, (strategy.strategyAddress, amount))
+        );
+        withdrawn = abi.decode(result, (uint256));
+        _reduceDebt(self, strategyId, withdrawn);
+    }
+
+    /**
+     * @notice Withdraw what is instantly available and, for lockup strategies, queue the rest
+     * @dev The queued part is claimed later through `claimUnlocks`
+     * @return withdrawn Amount of assets returned to the vault right away
+    */
+
+    function _unwind(State storage self, uint256 strategyId, uint256 amount) private returns (uint256 withdrawn) {
+        uint256 instant = _maxWithdraw(self, strategyId);
+        if (instant > amount) instant = amount;
+
+        withdrawn = _withdraw(self, strategyId, instant);
+
+        if (self.strategies[strategyId].hasLockup && amount > instant) {
+            _requestUnlock(self, strategyId, amount - instant);
+        }
+    }
+
+    /**
+     * @notice Queue assets in a lockup strategy's own withdrawal queue
+    */
+
+    function _requestUnlock(State storage self, uint256 strategyId, uint256 amount) private {
+        Strategy storage strategy = self.strategies[strategyId];
+
+        bytes memory result = Address.functionDelegateCall(
+            strategy.adapter,
+            abi.encodeCall(ILockupStrategyAdapter.requestWithdrawal, (strategy.strategyAddress, amount))
+        );
+        (uint256 requested, uint256 unlockTime) = abi.decode(result, (uint256, uint256));
+        if (requested == 0) return;
+        _reduceDebt(self, strategyId, requested);
+
+        PendingUnlock storage pending = self.pendingUnlocks[strategyId];
+        if (pending.assets == 0) self.unlockingIds.push(strategyId);
+        pending.assets += requested;
+        pending.unlockTime = unlockTime;
+        self.totalPendingUnlocks += requested;
+
+        emit UnlockRequested(strategyId, requested, unlockTime);
+    }
+
+    /**
+     * @notice Reduce a strategy's debt by assets that left it
+     * @dev Assets above the debt are unreported profit and get locked
+    */
+
+    function _reduceDebt(State storage self, uint256 strategyId, uint256 amount) private {
+        Strategy storage strategy = self.strategies[strategyId];
+        uint256 debt = strategy.currentDebt;
+
+        if (amount > debt) {
+            lockProfit(self, amount - debt);
+            amount = debt;
+        }
+
+        strategy.currentDebt = debt - amount;
+        self.totalDebt -= amount;
+    }
+
+    /**
+     * @notice Offset `loss` against profit that is still locked
+    */
+
+    function _absorbLoss(State storage self, uint256 loss) private {
+        uint256 locked = currentLockedProfit(self);
+        self.lockedProfit = locked > loss ? locked - loss : 0;
+        self.lastProfitReport = block.timestamp;
+    }
+
+    /**
+     * @notice Debt `rebalance` aims for: the strategy's allocation, capped at its max debt
+    */
+
+    function _targetDebt(Strategy storage strategy, uint256 vaultTotalAssets) private view returns (uint256) {
+        return _min((vaultTotalAssets * strategy.allocationBps) / BPS_DENOMINATOR, strategy.maxDebt);
+    }
+
+    /**
+     * @notice Fill `moves` with every strategy's target and plan withdrawals above it
+     * @return freed Part of the withdrawals that comes back to the vault right away
+    */
+
+    function _planWithdrawals(
+        State storage self,
+        Move[] memory moves,
+        uint256[] memory strategyIds,
+        uint256 vaultTotalAssets,
+        uint256 tolerance,
+        RebalanceLimits memory limits
+    ) private view returns (uint256 freed) {
+        uint256 budget = limits.maxMove == 0 ? type(uint256).max : limits.maxMove;
+
+        for (uint256 i = 0; i < strategyIds.length; i++) {
+            uint256 strategyId = strategyIds[i];
+            for (uint256 j = 0; j < i; j++) {
+                if (strategyIds[j] == strategyId) revert InvalidStrategyIndex();
+            }
+
+            Strategy storage strategy = _activeStrategy(self, strategyId);
+            uint256 targetAmount = _targetDebt(strategy, vaultTotalAssets);
+            moves[i] = Move(strategyId, strategy.currentDebt, targetAmount, 0);
+
+            if (strategy.currentDebt > targetAmount + tolerance) {
+                uint256 amount = _min(strategy.currentDebt - targetAmount, budget);
+                if (amount == 0 || amount < limits.minMove) continue;
+
+                moves[i].amount = -int256(amount);
+                budget -= amount;
+                freed += _min(amount, _maxWithdraw(self, strategyId));
+            }
+        }
+    }
+
+    /**
+     * @notice Plan deposits into strategies below target out of `availableAssets`
+    */
+
+    function _planDeposits(
+        State storage self,
+        Move[] memory moves,
+        uint256 availableAssets,
+        uint256 tolerance,
+        RebalanceLimits memory limits
+    ) private view {
+        uint256 budget = limits.maxMove == 0 ? type(uint256).max : limits.maxMove;
+
+        for (uint256 i = 0; i < moves.length; i++) {
+            Move memory move = moves[i];
+            if (self.health[move.strategyId].frozen) continue;
+            if (self.strategies[move.strategyId].hasLockup && self.pendingUnlocks[move.strategyId].assets > 0) continue;
+
+            if (move.targetDebt > move.currentDebt + tolerance) {
+                uint256 amount = _min(_min(move.targetDebt - move.currentDebt, availableAssets), budget);
+                if (amount == 0 || amount < limits.minMove) continue;
+
+                move.amount = int256(amount);
+                availableAssets -= amount;
+                budget -= amount;
+            }
+        }
+    }
+
+    function _min(uint256 a, uint256 b) private pure returns (uint256) {
+        return a < b ? a : b;
+    }
+
+    function _totalAllocation(State storage self) private view returns (uint256 total) {
+        uint256[] storage ids = self.activeIds;
+        for (uint256 i = 0; i < ids.length; i++) {
+            total += self.strategies[ids[i]].allocationBps;
+        }
+    }
+
+    function _activeStrategy(State storage self, uint256 strategyId) private view returns (Strategy storage strategy) {
+        if (strategyId >= self.strategies.length) revert InvalidStrategyIndex();
+        strategy = self.strategies[strategyId];
+        if (!strategy.isActive) revert StrategyNotActive();
+    }
+
+    function _healthFailure(Health storage health, uint256 price, uint256 loss, uint256 debt)
+        private
+        view
+        returns (HealthFailure)
+    {
+        if (health.maxLossBps > 0 && loss * BPS_DENOMINATOR > debt * health.maxLossBps) {
+            return HealthFailure.Loss;
+        }
+
+        uint256 last = health.lastPricePerShare;
+        if (health.maxPriceDeviationBps > 0 && last > 0) {
+            uint256 deviation = price > last ? price - last : last - price;
+            if (deviation * BPS_DENOMINATOR > last * health.maxPriceDeviationBps) return HealthFailure.PriceDeviation;
+        }
+
+        uint256 peak = health.peakPricePerShare;
+        if (health.maxDrawdownBps > 0 && price < peak) {
+            if ((peak - price) * BPS_DENOMINATOR > peak * health.maxDrawdownBps) return HealthFailure.Drawdown;
+        }
+
+        return HealthFailure.None;
+    }
+
+    function _pricePerShare(State storage self, uint256 strategyId) private view returns (uint256) {
+        Strategy storage strategy = self.strategies[strategyId];
+        return IStrategyAdapter(strategy.adapter).pricePerShare(strategy.strategyAddress);
+    }
+
+    function _balance(State storage self, uint256 strategyId) private view returns (uint256) {
+        Strategy storage strategy = self.strategies[strategyId];
+        return IStrategyAdapter(strategy.adapter).balanceOf(strategy.strategyAddress, address(this));
+    }
+
+    function _maxWithdraw(State storage self, uint256 strategyId) private view returns (uint256) {
+        Strategy storage strategy = self.strategies[strategyId];
+        return IStrategyAdapter(strategy.adapter).maxWithdraw(strategy.strategyAddress, address(this));
+    }
+
+    /**
+     * @notice Swap-and-pop `id` out of an id list
+    */
+
+    function _removeId(uint256[] storage ids, uint256 id) private {
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (ids[i] == id) {
+                ids[i] = ids[ids.length - 1];
+                ids.pop();
+                return;
+            }
+        }
+    }
+}
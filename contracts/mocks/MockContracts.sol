@@ -2,15 +2,19 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/ERC4626.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "../interfaces/ISwapAdapter.sol";
+import "../interfaces/IPriceFeed.sol";
 
 /**
  * @title MockUSDC
- * @notice Mock USDC token for testing
+ * @notice Mock USDC token for testing, with EIP-2612 permit like the real one
 */
 
-contract MockUSDC is ERC20 {
-    constructor() ERC20("Mock USDC", "mUSDC") {
+contract MockUSDC is ERC20, ERC20Permit {
+    constructor() ERC20("Mock USDC", "mUSDC") ERC20Permit("Mock USDC") {
         _mint(msg.sender, 1_000_000 * 10 ** 6); // Mint 1 million USDC         
     }
 
@@ -30,6 +34,7 @@ contract MockUSDC is ERC20 {
 
 contract MockERC4626Strategy is ERC4626 {
     uint256 private _yieldMultiplier = 1e18; // 1.0x initially
+    uint256 private _liquidity = type(uint256).max; // Assets that can be withdrawn instantly
 
     constructor(IERC20 _asset, string memory _name, string memory _symbol) 
         ERC4626(_asset) 
@@ -61,6 +66,23 @@ contract MockERC4626Strategy is ERC4626 {
     function getYieldMultiplier() external view returns (uint256) {
         return _yieldMultiplier;
     }
+
+    /**
+     * @notice Simulate a liquidity crunch by capping instant withdrawals
+    */
+
+    function setLiquidity(uint256 assets) external {
+        _liquidity = assets;
+    }
+
+    function maxWithdraw(address owner) public view override returns (uint256) {
+        return Math.min(super.maxWithdraw(owner), _liquidity);
+    }
+
+    function maxRedeem(address owner) public view override returns (uint256) {
+        if (_liquidity == type(uint256).max) return super.maxRedeem(owner);
+        return Math.min(super.maxRedeem(owner), convertToShares(_liquidity));
+    }
 }
 
 /**
@@ -156,6 +178,14 @@ contract MockLockedStrategy is ERC4626 {
         _yieldMultiplier = _yieldMultiplier * (10000 + bps) / 10000;
     }
 
+    /**
+     * @notice Simulate a loss
+     */
+
+    function simulateLoss(uint256 bps) external {
+        _yieldMultiplier = _yieldMultiplier * (10000 - bps) / 10000;
+    }
+
     /**
      * @notice Override totalAssets to apply yield multiplier
     */
@@ -245,4 +275,136 @@ contract MockHLPStrategy is ERC20 {
     function convertToShares(uint256 assets) public view returns (uint256) {
         return totalSupply() == 0 ? assets : (assets * totalSupply()) / _totalAssets;
     } 
-}
\ No newline at end of file
+}
+/**
+ * @title MockRewardToken
+ * @notice Mock incentive token paid out by reward strategies
+*/
+
+contract MockRewardToken is ERC20 {
+    constructor(string memory _name, string memory _symbol) ERC20(_name, _symbol) {}
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+}
+
+/**
+ * @title MockRewardStrategy
+ * @notice Mock ERC4626 strategy that pays incentives in a reward token on top of its yield
+*/
+
+contract MockRewardStrategy is MockERC4626Strategy {
+    MockRewardToken public immutable rewardToken;
+    mapping (address => uint256) public accruedRewards;
+
+    constructor(IERC20 _asset, MockRewardToken _rewardToken, string memory _name, string memory _symbol)
+        MockERC4626Strategy(_asset, _name, _symbol)
+    {
+        rewardToken = _rewardToken;
+    }
+
+    /**
+     * @notice Simulate incentives accruing to a depositor
+    */
+
+    function accrueRewards(address account, uint256 amount) external {
+        accruedRewards[account] += amount;
+    }
+
+    function rewardTokens() external view returns (address[] memory tokens) {
+        tokens = new address[](1);
+        tokens[0] = address(rewardToken);
+    }
+
+    /**
+     * @notice Pay the caller's accrued rewards to `receiver`
+    */
+
+    function claimRewards(address receiver) external returns (uint256[] memory amounts) {
+        amounts = new uint256[](1);
+        amounts[0] = accruedRewards[msg.sender];
+
+        accruedRewards[msg.sender] = 0;
+        rewardToken.mint(receiver, amounts[0]);
+    }
+}
+
+/**
+ * @title MockERC20
+ * @notice Mintable token with configurable decimals, e.g. a second stablecoin
+*/
+
+contract MockERC20 is ERC20 {
+    uint8 private immutable _decimals;
+
+    constructor(string memory _name, string memory _symbol, uint8 decimals_) ERC20(_name, _symbol) {
+        _decimals = decimals_;
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+}
+
+/**
+ * @title MockPriceFeed
+ * @notice Chainlink-style price feed with a settable answer
+*/
+
+contract MockPriceFeed is IPriceFeed {
+    uint8 public immutable decimals;
+    int256 private _answer;
+    uint256 private _updatedAt;
+
+    constructor(uint8 _decimals, int256 answer) {
+        decimals = _decimals;
+        setPrice(answer);
+    }
+
+    function setPrice(int256 answer) public {
+        _answer = answer;
+        _updatedAt = block.timestamp;
+    }
+
+    function latestRoundData() external view returns (uint80, int256, uint256, uint256, uint80) {
+        return (1, _answer, _updatedAt, _updatedAt, 1);
+    }
+}
+
+/**
+ * @title MockDEX
+ * @notice Fixed-rate DEX implementing ISwapAdapter; pays out of its own balance
+*/
+
+contract MockDEX is ISwapAdapter {
+    using SafeERC20 for IERC20;
+
+    mapping (address => mapping (address => uint256)) public rates; // tokenIn => tokenOut => out per 1e18 in
+
+    /**
+     * @notice Set the price of `tokenIn` in `tokenOut`, scaled by 1e18
+    */
+
+    function setRate(address tokenIn, address tokenOut, uint256 rate) external {
+        rates[tokenIn][tokenOut] = rate;
+    }
+
+    function swap(
+        address tokenIn,
+        address tokenOut,
+        uint256 amountIn,
+        uint256 minAmountOut,
+        address recipient
+    ) external returns (uint256 amountOut) {
+        amountOut = (amountIn * rates[tokenIn][tokenOut]) / 1e18;
+        require(amountOut >= minAmountOut, "Insufficient output");
+
+        IERC20(tokenIn).safeTransferFrom(msg.sender, address(this), amountIn);
+        IERC20(tokenOut).safeTransfer(recipient, amountOut);
+    }
+}
@@ -1,80 +1,319 @@
 const hre = require("hardhat");
+const { loadManifest, resolveAccount } = require("./lib/manifest");
+const { openDeployment } = require("./lib/deployments");
 
-async function main() {
-    console.log("Starting deployment...\n");
-    
+const { ethers } = hre;
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+const IERC20_METADATA = "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata";
+
+/**
+ * Deploy (or resume deploying) everything a manifest describes. Contracts recorded in `deployment`
+ * are reused; roles, approvals and configuration are only sent when they differ from what is
+ * on-chain, so running the pipeline again is a no-op. Once governance has moved to the timelock,
+ * differences are reported as warnings instead: they have to go through a timelock proposal
+ * @param {object} manifest Validated manifest (see scripts/lib/manifest.js)
+ * @param {object} deployment Deployment record (see scripts/lib/deployments.js)
+ * @returns {Promise<{contracts: object, warnings: string[]}>} Addresses by record key
+ */
+async function deploy(manifest, deployment) {
     const [deployer] = await ethers.getSigners();
+    const account = (value, fallback) => ethers.getAddress(resolveAccount(value || fallback, deployer.address));
+    const warnings = [];
+
+    // Send `apply` unless `upToDate`; warn instead when the deployer no longer governs the contract
+    async function ensure(label, upToDate, governed, apply) {
+        if (upToDate) return;
+        if (!governed) {
+            warnings.push(label + " differs from the manifest; propose it through the timelock");
+            return;
+        }
+        console.log(label + "...");
+        await (await apply()).wait();
+    }
+
+    await deployment.checkChain();
     console.log("Deploying contracts with account:", deployer.address);
     console.log("Account balance:", ethers.formatEther(await ethers.provider.getBalance(deployer.address)), "ETH\n");
-    
-    // Deploy MockUSDC
-    console.log("Deploying MockUSDC...");
-    const MockUSDC = await ethers.getContractFactory("MockUSDC");
-    const usdc = await MockUSDC.deploy();
-    await usdc.waitForDeployment();
-    const usdcAddress = await usdc.getAddress();
-    console.log("MockUSDC deployed to:", usdcAddress);
-    
-    // Deploy Strategy A (ERC4626)
-    console.log("\nDeploying Strategy A (MockERC4626Strategy)...");
-    const MockERC4626Strategy = await ethers.getContractFactory("MockERC4626Strategy");
-    const strategyA = await MockERC4626Strategy.deploy(
-        usdcAddress,
-        "Strategy A - Yield Optimizer",
-        "STRA"
+
+    const guardian = account(manifest.roles.guardian, "deployer");
+    const keeper = manifest.roles.keeper ? account(manifest.roles.keeper) : ethers.ZeroAddress;
+    const config = manifest.config || {};
+
+    // ============ Asset and strategies ============
+
+    const asset = manifest.asset.mock
+        ? await deployment.deployContract("asset", "MockUSDC")
+        : await ethers.getContractAt(IERC20_METADATA, manifest.asset.address);
+    const assetAddress = await asset.getAddress();
+    const decimals = Number(await asset.decimals());
+    const amount = (value) => ethers.parseUnits(value || "0", decimals);
+
+    const strategies = [];
+    for (const strategy of manifest.strategies) {
+        let address = strategy.address && ethers.getAddress(strategy.address);
+        if (strategy.mock) {
+            const contractName = strategy.hasLockup ? "MockLockedStrategy" : "MockERC4626Strategy";
+            const mock = await deployment.deployContract(
+                "strategy:" + strategy.name,
+                contractName,
+                [assetAddress, strategy.name, strategy.symbol]
+            );
+            address = await mock.getAddress();
+        }
+
+        let adapter = ethers.ZeroAddress;
+        if (strategy.type === "custom") {
+            adapter = ethers.isAddress(strategy.adapter)
+                ? ethers.getAddress(strategy.adapter)
+                : await (await deployment.deployContract("adapter:" + strategy.adapter, strategy.adapter)).getAddress();
+        }
+
+        strategies.push({ ...strategy, address, adapter, hasLockup: Boolean(strategy.hasLockup) });
+    }
+
+    // ============ Registry and factory ============
+
+    const strategyLogic = await deployment.deployContract("strategyLogic", "StrategyLogic");
+    const libraries = { StrategyLogic: await strategyLogic.getAddress() };
+
+    const registry = await deployment.deployContract("registry", "VaultRegistry", [deployer.address, guardian]);
+    const registryAddress = await registry.getAddress();
+    const factory = await deployment.deployContract("factory", "VaultFactory", [registryAddress, deployer.address]);
+    const factoryAddress = await factory.getAddress();
+
+    const DEFAULT_ADMIN_ROLE = ethers.ZeroHash;
+    const governsRegistry = await registry.hasRole(DEFAULT_ADMIN_ROLE, deployer.address);
+    const governsFactory = await factory.hasRole(DEFAULT_ADMIN_ROLE, deployer.address);
+
+    const REGISTRAR_ROLE = await registry.REGISTRAR_ROLE();
+    await ensure(
+        "Granting REGISTRAR_ROLE to the factory",
+        await registry.hasRole(REGISTRAR_ROLE, factoryAddress),
+        governsRegistry,
+        () => registry.grantRole(REGISTRAR_ROLE, factoryAddress)
     );
-    await strategyA.waitForDeployment();
-    const strategyAAddress = await strategyA.getAddress();
-    console.log("Strategy A deployed to:", strategyAAddress);
-    
-    // Deploy Strategy B (Locked Strategy)
-    console.log("\nDeploying Strategy B (MockLockedStrategy)...");
-    const MockLockedStrategy = await ethers.getContractFactory("MockLockedStrategy");
-    const strategyB = await MockLockedStrategy.deploy(
-        usdcAddress,
-        "Strategy B - Locked Staking",
-        "STRB"
+
+    const MultiStrategyVault = await ethers.getContractFactory("MultiStrategyVault", { libraries });
+    await ensure(
+        "Storing the vault template (linked to StrategyLogic)",
+        (await factory.templateHash()) === ethers.keccak256(MultiStrategyVault.bytecode),
+        governsFactory,
+        () => factory.setTemplate(MultiStrategyVault.bytecode)
     );
-    await strategyB.waitForDeployment();
-    const strategyBAddress = await strategyB.getAddress();
-    console.log("Strategy B deployed to:", strategyBAddress);
-    
-    // Deploy MultiStrategyVault
-    console.log("\nDeploying MultiStrategyVault...");
-    const MultiStrategyVault = await ethers.getContractFactory("MultiStrategyVault");
-    const vault = await MultiStrategyVault.deploy(
-        usdcAddress,
-        "Multi Strategy Vault",
-        "MSV"
+
+    for (const strategy of strategies) {
+        const approval = await registry.strategyApproval(strategy.address);
+        await ensure(
+            "Approving " + strategy.name + " in the registry",
+            approval.approved && approval.adapter === strategy.adapter && approval.hasLockup === strategy.hasLockup,
+            governsRegistry,
+            () => registry.approveStrategy(strategy.address, strategy.adapter, strategy.hasLockup)
+        );
+    }
+
+    // ============ Vault ============
+
+    // Launched through the factory, seeded with dead shares so the first real depositor cannot
+    // be front-run. The deployer holds the admin roles until the handover below
+    let vaultAddress = await deployment.existingAddress("vault");
+    if (!vaultAddress) {
+        const seedAssets = amount(manifest.vault.seedAmount);
+        const vaultParams = {
+            asset: assetAddress,
+            name: manifest.vault.name,
+            symbol: manifest.vault.symbol,
+            decimalsOffset: manifest.vault.decimalsOffset,
+            admin: deployer.address,
+            manager: deployer.address,
+            guardian,
+            keeper,
+            feeRecipient: config.feeRecipient ? account(config.feeRecipient) : ethers.ZeroAddress,
+            seedAssets,
+            strategies: strategies.map((s) => ({ strategy: s.address, allocationBps: s.allocationBps }))
+        };
+        const salt = ethers.id(manifest.vault.salt || manifest.vault.symbol);
+        vaultAddress = await factory.predictVaultAddress(vaultParams, salt);
+
+        // A previous run may have created the vault and stopped before recording it
+        let txHash;
+        if ((await ethers.provider.getCode(vaultAddress)) === "0x") {
+            console.log("\nCreating " + manifest.vault.name + " (decimals offset " + manifest.vault.decimalsOffset + ")...");
+            if (!(await factory.hasRole(await factory.DEPLOYER_ROLE(), deployer.address))) {
+                await (await factory.grantRole(await factory.DEPLOYER_ROLE(), deployer.address)).wait();
+            }
+            if (seedAssets > 0n) {
+                console.log("Seeding with", manifest.vault.seedAmount, "of dead shares to", await factory.DEAD_ADDRESS());
+                if (manifest.asset.mock && (await asset.balanceOf(deployer.address)) < seedAssets) {
+                    await (await asset.mint(deployer.address, seedAssets)).wait();
+                }
+                await (await asset.approve(factoryAddress, seedAssets)).wait();
+            }
+            const tx = await factory.createVault(vaultParams, salt);
+            await tx.wait();
+            txHash = tx.hash;
+        }
+
+        const vaultArgs = [assetAddress, vaultParams.name, vaultParams.symbol, vaultParams.decimalsOffset];
+        deployment.recordContract("vault", "MultiStrategyVault", vaultAddress, vaultArgs, libraries, txHash);
+        console.log("MultiStrategyVault deployed to:", vaultAddress);
+    } else {
+        console.log("Reusing vault (MultiStrategyVault) at", vaultAddress);
+    }
+    const vault = MultiStrategyVault.attach(vaultAddress);
+    const governsVault = await vault.hasRole(DEFAULT_ADMIN_ROLE, deployer.address);
+
+    // Strategies of a live vault are changed through the timelock, not by redeploying
+    const vaultStrategies = (await vault.getStrategies()).map((s) => s.strategyAddress);
+    for (const strategy of strategies) {
+        if (!vaultStrategies.includes(strategy.address)) {
+            warnings.push(strategy.name + " is not a strategy of the vault; add it through the timelock");
+        }
+    }
+
+    for (const [role, holder] of [["GUARDIAN_ROLE", guardian], ["KEEPER_ROLE", keeper]]) {
+        if (holder === ethers.ZeroAddress) continue;
+        const roleId = await vault[role]();
+        await ensure(
+            "Granting " + role + " to " + holder,
+            await vault.hasRole(roleId, holder),
+            governsVault,
+            () => vault.grantRole(roleId, holder)
+        );
+    }
+
+    // ============ Post-deploy configuration ============
+
+    const depositCap = amount(config.depositCap);
+    const accountDepositCap = amount(config.accountDepositCap);
+    const allowlist = (config.allowlist || []).map((a) => account(a));
+    await ensure(
+        "Setting deposit limits",
+        (await vault.depositCap()) === depositCap &&
+            (await vault.accountDepositCap()) === accountDepositCap &&
+            (await vault.allowlistEnabled()) === allowlist.length > 0,
+        governsVault,
+        () => vault.setDepositLimits(depositCap, accountDepositCap, allowlist.length > 0)
     );
-    await vault.waitForDeployment();
-    const vaultAddress = await vault.getAddress();
-    console.log("MultiStrategyVault deployed to:", vaultAddress);
-    
-    // Setup strategies in vault
-    console.log("\nSetting up strategies in vault...");
-    
-    console.log("Adding Strategy A (60% allocation)...");
-    let tx = await vault.addStrategy(
-        strategyAAddress,
-        6000, // 60%
-        true,  // isERC4626
-        false  // hasLockup
+
+    const missing = [];
+    for (const a of allowlist) {
+        if (!(await vault.isAllowlisted(a))) missing.push(a);
+    }
+    await ensure(
+        "Allowlisting " + missing.length + " accounts",
+        missing.length === 0,
+        governsVault,
+        () => vault.setAllowlist(missing, true)
     );
-    await tx.wait();
-    console.log("Strategy A added");
-    
-    console.log("Adding Strategy B (40% allocation)...");
-    tx = await vault.addStrategy(
-        strategyBAddress,
-        4000, // 40%
-        true,  // isERC4626
-        true   // hasLockup
+
+    if (config.managementFeeBps !== undefined || config.performanceFeeBps !== undefined) {
+        const managementFeeBps = BigInt(config.managementFeeBps || 0);
+        const performanceFeeBps = BigInt(config.performanceFeeBps || 0);
+        await ensure(
+            "Setting fees",
+            (await vault.managementFeeBps()) === managementFeeBps && (await vault.performanceFeeBps()) === performanceFeeBps,
+            governsVault,
+            () => vault.setFees(managementFeeBps, performanceFeeBps)
+        );
+    }
+
+    if (config.feeRecipient) {
+        const feeRecipient = account(config.feeRecipient);
+        await ensure(
+            "Setting the fee recipient",
+            (await vault.feeRecipient()) === feeRecipient,
+            governsVault,
+            () => vault.setFeeRecipient(feeRecipient)
+        );
+    }
+
+    if (config.profitUnlockPeriod !== undefined) {
+        await ensure(
+            "Setting the profit unlock period",
+            (await vault.profitUnlockPeriod()) === BigInt(config.profitUnlockPeriod),
+            governsVault,
+            () => vault.setProfitUnlockPeriod(config.profitUnlockPeriod)
+        );
+    }
+
+    if (config.minIdleBps !== undefined) {
+        await ensure(
+            "Setting the idle buffer",
+            (await vault.minIdleBps()) === BigInt(config.minIdleBps),
+            governsVault,
+            () => vault.setMinIdleBps(config.minIdleBps)
+        );
+    }
+
+    if (config.rebalanceLimits) {
+        const driftToleranceBps = BigInt(config.rebalanceLimits.driftToleranceBps || 0);
+        const minRebalanceAmount = amount(config.rebalanceLimits.minRebalanceAmount);
+        const maxRebalanceAmount = amount(config.rebalanceLimits.maxRebalanceAmount);
+        await ensure(
+            "Setting rebalance limits",
+            (await vault.driftToleranceBps()) === driftToleranceBps &&
+                (await vault.minRebalanceAmount()) === minRebalanceAmount &&
+                (await vault.maxRebalanceAmount()) === maxRebalanceAmount,
+            governsVault,
+            () => vault.setRebalanceLimits(driftToleranceBps, minRebalanceAmount, maxRebalanceAmount)
+        );
+    }
+
+    // ============ Timelock and periphery ============
+
+    const timelockConfig = manifest.roles.timelock;
+    const timelock = await deployment.deployContract("timelock", "VaultTimelock", [
+        timelockConfig.delay,
+        timelockConfig.proposers.map((a) => account(a)),
+        timelockConfig.executors.map((a) => account(a)),
+        guardian
+    ]);
+    const timelockAddress = await timelock.getAddress();
+
+    // Stateless periphery for permit deposits, slippage-checked redeems and migrations
+    await deployment.deployContract("router", "VaultRouter");
+
+    // Deposits and redemptions in other tokens
+    const gateway = await deployment.deployContract("gateway", "VaultGateway", [vaultAddress, deployer.address, guardian]);
+    const governsGateway = await gateway.hasRole(DEFAULT_ADMIN_ROLE, deployer.address);
+    if (config.gateway) {
+        const assetPriceFeed = ethers.getAddress(config.gateway.assetPriceFeed);
+        await ensure(
+            "Setting the gateway price feed",
+            (await gateway.assetPriceFeed()) === assetPriceFeed &&
+                (await gateway.maxPriceAge()) === BigInt(config.gateway.maxPriceAge),
+            governsGateway,
+            () => gateway.setOracle(assetPriceFeed, config.gateway.maxPriceAge)
+        );
+    }
+
+    // ============ Governance handover ============
+
+    const MANAGER_ROLE = await vault.MANAGER_ROLE();
+    const handovers = [
+        ["vault", vault, MANAGER_ROLE],
+        ["vault", vault, DEFAULT_ADMIN_ROLE],
+        ["registry", registry, DEFAULT_ADMIN_ROLE],
+        ["factory", factory, DEFAULT_ADMIN_ROLE],
+        ["gateway", gateway, DEFAULT_ADMIN_ROLE]
+    ];
+    for (const [key, governed, role] of handovers) {
+        if (!(await governed.hasRole(role, deployer.address))) continue;
+
+        const name = role === MANAGER_ROLE ? "MANAGER_ROLE" : "DEFAULT_ADMIN_ROLE";
+        console.log("Transferring " + name + " of the " + key + " to the timelock...");
+        if (!(await governed.hasRole(role, timelockAddress))) {
+            await (await governed.grantRole(role, timelockAddress)).wait();
+        }
+        await (await governed.renounceRole(role, deployer.address)).wait();
+    }
+
+    // ============ Summary ============
+
+    const contracts = Object.fromEntries(
+        Object.entries(deployment.record.contracts).map(([key, entry]) => [key, entry.address])
     );
-    await tx.wait();
-    console.log("Strategy B added");
-    
-    // Print deployment summary
+
     console.log("\n=================================");
     console.log("DEPLOYMENT SUMMARY");
     console.log("=================================");
@@ -82,86 +321,43 @@ async function main() {
     console.log("Deployer:", deployer.address);
     console.log("\nContract Addresses:");
     console.log("-----------------------------------");
-    console.log("MockUSDC:", usdcAddress);
-    console.log("Strategy A:", strategyAAddress);
-    console.log("Strategy B:", strategyBAddress);
-    console.log("MultiStrategyVault:", vaultAddress);
+    for (const [key, address] of Object.entries(contracts)) {
+        console.log(key + ":", address + (deployment.created.includes(key) ? " (new)" : ""));
+    }
+    console.log("Guardian:", guardian);
     console.log("=================================\n");
-    
-    // Save deployment info
-    const deploymentInfo = {
-        network: hre.network.name,
-        deployer: deployer.address,
-        timestamp: new Date().toISOString(),
-        contracts: {
-            mockUSDC: usdcAddress,
-            strategyA: strategyAAddress,
-            strategyB: strategyBAddress,
-            vault: vaultAddress
-        }
-    };
-    
-    const fs = require('fs');
-    fs.writeFileSync(
-        'deployment-info.json',
-        JSON.stringify(deploymentInfo, null, 2)
-    );
-    console.log("Deployment info saved to deployment-info.json\n");
-    
-    // Verify contracts on explorer (if not localhost)
-    if (hre.network.name !== "hardhat" && hre.network.name !== "localhost") {
-        console.log("Waiting for block confirmations before verification...");
-        await tx.wait(6);
-        
+
+    for (const warning of warnings) {
+        console.log("WARNING:", warning);
+    }
+
+    return { contracts, warnings };
+}
+
+async function main() {
+    console.log("Starting deployment...\n");
+
+    const manifest = loadManifest(hre.network.name);
+    const deployment = openDeployment(hre);
+    await deploy(manifest, deployment);
+    if (deployment.persist) console.log("Deployment record saved to", deployment.file);
+
+    // Verify contracts on explorer (if not localhost); only those not verified by an earlier run
+    if (!LOCAL_NETWORKS.includes(hre.network.name)) {
         console.log("\nVerifying contracts on explorer...");
-        
-        try {
-            await hre.run("verify:verify", {
-                address: usdcAddress,
-                constructorArguments: []
-            });
-            console.log("MockUSDC verified");
-        } catch (error) {
-            console.log("MockUSDC verification failed:", error.message);
-        }
-        
-        try {
-            await hre.run("verify:verify", {
-                address: strategyAAddress,
-                constructorArguments: [usdcAddress, "Strategy A - Yield Optimizer", "STRA"]
-            });
-            console.log("Strategy A verified");
-        } catch (error) {
-            console.log("Strategy A verification failed:", error.message);
-        }
-        
-        try {
-            await hre.run("verify:verify", {
-                address: strategyBAddress,
-                constructorArguments: [usdcAddress, "Strategy B - Locked Staking", "STRB"]
-            });
-            console.log("Strategy B verified");
-        } catch (error) {
-            console.log("Strategy B verification failed:", error.message);
-        }
-        
-        try {
-            await hre.run("verify:verify", {
-                address: vaultAddress,
-                constructorArguments: [usdcAddress, "Multi Strategy Vault", "MSV"]
-            });
-            console.log("MultiStrategyVault verified");
-        } catch (error) {
-            console.log("MultiStrategyVault verification failed:", error.message);
-        }
+        await deployment.verifyPending();
     }
-    
+
     console.log("\nDeployment complete!");
 }
 
-main()
-    .then(() => process.exit(0))
-    .catch((error) => {
-        console.error(error);
-        process.exit(1);
-    });
\ No newline at end of file
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = { deploy };
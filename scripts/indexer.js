@@ -0,0 +1,53 @@
+const hre = require("hardhat");
+const { openDeployment } = require("./lib/deployments");
+const { createLogger } = require("./lib/keeper");
+const { loadOptions, openStore, createIndexer } = require("./lib/indexer");
+const { createApiServer } = require("./lib/api");
+
+// Long-running indexer: backfills the vault's history into data/indexer/<network>/<vault>.json,
+// follows new blocks and serves yield, APY and withdrawal queue figures over HTTP. Runs until
+// interrupted (Ctrl+C or SIGTERM)
+//
+//   VAULT_ADDRESS   Vault to index (default: the deployment record of the network)
+//   INDEXER_CONFIG  JSON file overriding the default options (see scripts/lib/indexer.js)
+//   INDEXER_DATA    Index file (default: data/indexer/<network>/<vault>.json)
+//   LOG_LEVEL       debug, info (default), warn or error
+
+async function main() {
+    const entry = openDeployment(hre).record.contracts.vault;
+    const vaultAddress = process.env.VAULT_ADDRESS || (entry && entry.address);
+    if (!vaultAddress) throw new Error("No vault recorded for " + hre.network.name + "; set VAULT_ADDRESS");
+
+    const options = loadOptions(process.env.INDEXER_CONFIG);
+    const logger = createLogger({ level: process.env.LOG_LEVEL || "info", base: { network: hre.network.name } });
+
+    // Nothing happened before the vault was deployed
+    if (options.fromBlock === null && entry && entry.address === vaultAddress && entry.txHash) {
+        const receipt = await hre.ethers.provider.getTransactionReceipt(entry.txHash);
+        if (receipt) options.fromBlock = receipt.blockNumber;
+    }
+
+    const vault = await hre.ethers.getContractAt("MultiStrategyVault", vaultAddress);
+    const store = openStore(hre.network.name, vaultAddress, { file: process.env.INDEXER_DATA });
+    const indexer = createIndexer({ vault, store, options, logger });
+
+    const server = createApiServer(store);
+    await new Promise((resolve) => server.listen(options.port, options.host, resolve));
+    logger.info("api-listening", { url: "http://" + options.host + ":" + server.address().port });
+
+    const stop = () => {
+        indexer.stop();
+        server.close();
+    };
+    process.on("SIGINT", stop);
+    process.on("SIGTERM", stop);
+
+    await indexer.run();
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,37 @@
+const hre = require("hardhat");
+const { openDeployment } = require("./lib/deployments");
+const { loadPolicy, createLogger, createKeeper } = require("./lib/keeper");
+
+// Long-running keeper: reports strategies, services the withdrawal queue, claims matured unlocks
+// and rebalances when the policy says so. Runs until interrupted (Ctrl+C or SIGTERM)
+//
+//   VAULT_ADDRESS   Vault to keep (default: the deployment record of the network)
+//   KEEPER_CONFIG   JSON file overriding the default policy (see scripts/lib/keeper.js)
+//   LOG_LEVEL       debug, info (default), warn or error
+
+async function main() {
+    const entry = openDeployment(hre).record.contracts.vault;
+    const vaultAddress = process.env.VAULT_ADDRESS || (entry && entry.address);
+    if (!vaultAddress) throw new Error("No vault recorded for " + hre.network.name + "; set VAULT_ADDRESS");
+
+    const [signer] = await hre.ethers.getSigners();
+    const vault = await hre.ethers.getContractAt("MultiStrategyVault", vaultAddress, signer);
+    const logger = createLogger({ level: process.env.LOG_LEVEL || "info", base: { network: hre.network.name } });
+
+    if (!(await vault.hasRole(await vault.KEEPER_ROLE(), signer.address))) {
+        logger.warn("missing-keeper-role", { keeper: signer.address });
+    }
+
+    const keeper = createKeeper({ vault, policy: loadPolicy(process.env.KEEPER_CONFIG), logger });
+    process.on("SIGINT", keeper.stop);
+    process.on("SIGTERM", keeper.stop);
+
+    await keeper.run();
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
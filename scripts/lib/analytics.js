@@ -0,0 +1,152 @@
+// Figures computed from an index (see openStore in ./indexer). Times are chain timestamps, and a
+// trailing window ends at the latest snapshot rather than the wall clock
+
+const DAY = 24 * 60 * 60;
+const YEAR = 365 * DAY;
+
+/**
+ * Share price and total assets over time, from the metric snapshots
+ * @param {object} record Index record
+ * @param {object} [range] Timestamps to keep, inclusive
+ */
+function priceHistory(record, { from = 0, to = Infinity } = {}) {
+    return record.snapshots
+        .filter((s) => s.timestamp >= from && s.timestamp <= to)
+        .map(({ block, timestamp, pricePerShare, totalAssets, totalSupply }) => ({
+            block,
+            timestamp,
+            pricePerShare,
+            totalAssets,
+            totalSupply
+        }));
+}
+
+/**
+ * Return on the share price over the trailing `days`, annualized both simply (apr) and compounded (apy).
+ * A history shorter than the window is measured from its first snapshot and flagged `partial`.
+ * Snapshots of an empty vault, priced at zero, cannot start a window
+ * @returns {object|null} Null until there are two snapshots at different times
+ */
+function trailingApy(record, days) {
+    const snapshots = record.snapshots;
+    if (snapshots.length < 2) return null;
+
+    const end = snapshots[snapshots.length - 1];
+    const windowStart = end.timestamp - days * DAY;
+    const priced = snapshots.filter((s) => BigInt(s.pricePerShare) > 0n);
+    if (priced.length === 0) return null;
+
+    const earlier = priced.filter((s) => s.timestamp <= windowStart);
+    const start = earlier.length > 0 ? earlier[earlier.length - 1] : priced[0];
+
+    const elapsed = end.timestamp - start.timestamp;
+    if (elapsed <= 0) return null;
+
+    // Prices are on a 1e18 scale; the ratio keeps 18 digits before going to floating point
+    const growth = Number((BigInt(end.pricePerShare) * 10n ** 18n) / BigInt(start.pricePerShare)) / 1e18;
+    return {
+        days,
+        from: start.timestamp,
+        to: end.timestamp,
+        partial: earlier.length === 0,
+        periodReturn: growth - 1,
+        apr: ((growth - 1) * YEAR) / elapsed,
+        apy: growth ** (YEAR / elapsed) - 1
+    };
+}
+
+/**
+ * Gains and losses each strategy reported since `since`, and its share of the net gain
+ */
+function strategyContribution(record, { since = 0 } = {}) {
+    const strategies = new Map();
+    for (const event of record.events) {
+        if (event.name !== "StrategyReported" || event.timestamp < since) continue;
+
+        const id = Number(event.args.strategyId);
+        const entry = strategies.get(id) || { strategyId: id, reports: 0, gain: 0n, loss: 0n };
+        entry.reports += 1;
+        entry.gain += BigInt(event.args.gain);
+        entry.loss += BigInt(event.args.loss);
+        entry.currentDebt = event.args.currentDebt;
+        entry.lastReport = event.timestamp;
+        strategies.set(id, entry);
+    }
+
+    const list = [...strategies.values()].sort((a, b) => a.strategyId - b.strategyId);
+    const totalNet = list.reduce((sum, s) => sum + s.gain - s.loss, 0n);
+
+    return list.map((s) => ({
+        ...s,
+        gain: s.gain.toString(),
+        loss: s.loss.toString(),
+        net: (s.gain - s.loss).toString(),
+        share: totalNet > 0n ? Number(((s.gain - s.loss) * 10000n) / totalNet) / 10000 : null
+    }));
+}
+
+/**
+ * Count, mean, median, 90th percentile and maximum of durations in seconds
+ */
+function durationStats(durations) {
+    if (durations.length === 0) return { count: 0 };
+    const sorted = [...durations].sort((a, b) => a - b);
+    const rank = (p) => sorted[Math.ceil(p * sorted.length) - 1];
+    return {
+        count: sorted.length,
+        mean: Math.round(sorted.reduce((sum, d) => sum + d, 0) / sorted.length),
+        median: rank(0.5),
+        p90: rank(0.9),
+        max: sorted[sorted.length - 1]
+    };
+}
+
+/**
+ * How long queued withdrawals waited: queued to claimable (the vault's part), claimable to completed
+ * (the holder's part) and end to end. Requests queued before the first indexed block are left out
+ */
+function queueLatency(record) {
+    const requests = new Map();
+    const request = (id) => {
+        if (!requests.has(id)) requests.set(id, {});
+        return requests.get(id);
+    };
+
+    for (const event of record.events) {
+        const id = event.name === "Transfer" ? event.args.tokenId : event.args.requestId;
+        if (event.name === "WithdrawalQueued") request(id).queuedAt = event.timestamp;
+        else if (event.name === "WithdrawalClaimable") request(id).claimableAt = event.timestamp;
+        else if (event.name === "WithdrawalCompleted") request(id).completedAt = event.timestamp;
+        else if (event.name === "WithdrawalCancelled") request(id).cancelledAt = event.timestamp;
+        else if (event.name === "Transfer") request(id).burnedAt = event.timestamp;
+    }
+
+    // Claims through the vault's withdraw/redeem only burn the ticket; cancellations burn it too
+    for (const r of requests.values()) {
+        if (r.completedAt === undefined && r.cancelledAt === undefined) r.completedAt = r.burnedAt;
+    }
+
+    const tracked = [...requests.values()].filter((r) => r.queuedAt !== undefined);
+    const open = tracked.filter((r) => r.claimableAt === undefined && r.cancelledAt === undefined);
+    const between = (from, to) => tracked.filter((r) => r[from] !== undefined && r[to] !== undefined).map((r) => r[to] - r[from]);
+
+    return {
+        requests: tracked.length,
+        pending: open.length,
+        claimable: tracked.filter((r) => r.claimableAt !== undefined && r.completedAt === undefined).length,
+        completed: tracked.filter((r) => r.completedAt !== undefined).length,
+        cancelled: tracked.filter((r) => r.cancelledAt !== undefined).length,
+        oldestPendingAge: open.length > 0 ? record.lastTimestamp - Math.min(...open.map((r) => r.queuedAt)) : null,
+        queuedToClaimable: durationStats(between("queuedAt", "claimableAt")),
+        claimableToCompleted: durationStats(between("claimableAt", "completedAt")),
+        queuedToCompleted: durationStats(between("queuedAt", "completedAt"))
+    };
+}
+
+module.exports = {
+    DAY,
+    priceHistory,
+    trailingApy,
+    strategyContribution,
+    queueLatency
+};
@@ -0,0 +1,98 @@
+const http = require("http");
+const { DAY, priceHistory, trailingApy, strategyContribution, queueLatency } = require("./analytics");
+
+const MAX_EVENTS = 1000;
+
+class BadRequest extends Error {}
+
+/**
+ * Non-negative integer query parameter, or `fallback` when absent
+ */
+function integer(query, name, fallback) {
+    const value = query.get(name);
+    if (value === null) return fallback;
+    if (!/^\d+$/.test(value)) throw new BadRequest(name + " must be a non-negative integer");
+    return Number(value);
+}
+
+/**
+ * Read-only HTTP API over an index (see openStore in ./indexer). Every route answers GET with JSON;
+ * amounts are decimal strings in asset or share units
+ * @param {object} store Store the indexer writes to; responses always reflect its latest state
+ * @returns {http.Server} Server to `listen` on
+ */
+function createApiServer(store) {
+    const record = store.record;
+    const latest = () => record.snapshots[record.snapshots.length - 1] || null;
+
+    const routes = {
+        // Indexing progress and the latest metrics
+        "/status": () => ({
+            network: record.network,
+            chainId: record.chainId,
+            vault: record.vault,
+            lastBlock: record.lastBlock,
+            lastTimestamp: record.lastTimestamp,
+            events: record.events.reduce((counts, e) => ({ ...counts, [e.name]: (counts[e.name] || 0) + 1 }), {}),
+            snapshots: record.snapshots.length,
+            latest: latest()
+        }),
+
+        // ?from=&to= timestamps
+        "/price-history": (query) => priceHistory(record, {
+            from: integer(query, "from", 0),
+            to: integer(query, "to", Infinity)
+        }),
+
+        // ?days=7,30 (default) trailing windows
+        "/apy": (query) => {
+            const days = (query.get("days") || "7,30").split(",");
+            if (days.some((d) => !/^\d+$/.test(d) || Number(d) === 0)) {
+                throw new BadRequest("days must be a comma-separated list of positive integers");
+            }
+            return Object.fromEntries(days.map((d) => [d + "d", trailingApy(record, Number(d))]));
+        },
+
+        // ?days= to only count recent reports (default: all)
+        "/strategies": (query) => {
+            const days = integer(query, "days", null);
+            const since = days !== null && latest() ? latest().timestamp - days * DAY : 0;
+            return strategyContribution(record, { since });
+        },
+
+        "/withdrawals": () => queueLatency(record),
+
+        // ?name=&fromBlock=&limit= raw events, oldest first
+        "/events": (query) => {
+            const name = query.get("name");
+            const fromBlock = integer(query, "fromBlock", 0);
+            const limit = Math.min(integer(query, "limit", 100), MAX_EVENTS);
+            return record.events
+                .filter((e) => (!name || e.name === name) && e.block >= fromBlock)
+                .slice(0, limit);
+        }
+    };
+
+    return http.createServer((req, res) => {
+        const url = new URL(req.url, "http://localhost");
+        const reply = (status, body) => {
+            res.writeHead(status, {
+                "Content-Type": "application/json",
+                "Access-Control-Allow-Origin": "*"
+            });
+            res.end(JSON.stringify(body, null, 2) + "\n");
+        };
+
+        const route = routes[url.pathname.replace(/\/+$/, "") || "/status"];
+        if (!route) return reply(404, { error: "Unknown route " + url.pathname, routes: Object.keys(routes) });
+        if (req.method !== "GET") return reply(405, { error: "Only GET is supported" });
+
+        try {
+            reply(200, route(url.searchParams));
+        } catch (error) {
+            reply(error instanceof BadRequest ? 400 : 500, { error: error.message });
+        }
+    });
+}
+
+module.exports = { createApiServer };
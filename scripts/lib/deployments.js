@@ -0,0 +1,153 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+// In-process networks start empty every run, so there is nothing to resume
+const EPHEMERAL_NETWORKS = ["hardhat"];
+
+/**
+ * Open the deployment record of a network: contracts deployed so far, their constructor arguments
+ * and whether they are verified. The record is saved after every deployment, so a run that fails
+ * halfway resumes where it stopped
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} [options]
+ * @param {string} [options.file] Record file, deployments/<network>.json by default
+ * @param {boolean} [options.persist] Whether to read and write the file (off for in-process networks)
+ */
+function openDeployment(hre, options = {}) {
+    const network = hre.network.name;
+    const file = options.file || path.join(DEPLOYMENTS_DIR, network + ".json");
+    const persist = options.persist !== undefined ? options.persist : !EPHEMERAL_NETWORKS.includes(network);
+
+    const record = persist && fs.existsSync(file)
+        ? JSON.parse(fs.readFileSync(file, "utf8"))
+        : { network, chainId: null, contracts: {} };
+    const created = [];
+
+    function save() {
+        if (!persist) return;
+        record.updatedAt = new Date().toISOString();
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(record, null, 2) + "\n");
+    }
+
+    async function checkChain() {
+        const chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+        if (record.chainId !== null && record.chainId !== chainId) {
+            throw new Error(file + " was recorded on chain " + record.chainId + ", connected to " + chainId);
+        }
+        record.chainId = chainId;
+    }
+
+    async function hasCode(address) {
+        return (await hre.ethers.provider.getCode(address)) !== "0x";
+    }
+
+    /**
+     * Record a contract deployed by this run
+     */
+    function recordContract(key, contractName, address, args = [], libraries = undefined, txHash = undefined) {
+        record.contracts[key] = {
+            contract: contractName,
+            address,
+            args: toJson(args),
+            libraries,
+            txHash,
+            verified: false
+        };
+        created.push(key);
+        save();
+    }
+
+    /**
+     * Deploy `contractName` under `key`, or reuse the recorded deployment if it still has code
+     * @returns Contract instance
+     */
+    async function deployContract(key, contractName, args = [], libraries = undefined) {
+        const existing = record.contracts[key];
+        if (existing && await hasCode(existing.address)) {
+            console.log("Reusing " + key + " (" + contractName + ") at", existing.address);
+            return hre.ethers.getContractAt(contractName, existing.address);
+        }
+        if (existing) console.log("Recorded " + key + " at " + existing.address + " has no code, redeploying");
+
+        console.log("Deploying " + key + " (" + contractName + ")...");
+        const factory = await hre.ethers.getContractFactory(contractName, libraries ? { libraries } : {});
+        const contract = await factory.deploy(...args);
+        await contract.waitForDeployment();
+        const address = await contract.getAddress();
+
+        recordContract(key, contractName, address, args, libraries, contract.deploymentTransaction().hash);
+        console.log(key + " deployed to:", address);
+        return contract;
+    }
+
+    /**
+     * Recorded address of `key`, if it still has code
+     */
+    async function existingAddress(key) {
+        const existing = record.contracts[key];
+        return existing && await hasCode(existing.address) ? existing.address : undefined;
+    }
+
+    /**
+     * Verify every recorded contract not verified yet on the explorer
+     * @param {number} confirmations Blocks to wait after the last deployment before verifying
+     */
+    async function verifyPending(confirmations = 6) {
+        const pending = Object.entries(record.contracts).filter(([, entry]) => !entry.verified);
+        if (pending.length === 0) {
+            console.log("Nothing new to verify");
+            return;
+        }
+
+        const lastTx = pending.map(([, entry]) => entry.txHash).filter(Boolean).pop();
+        if (lastTx) {
+            console.log("Waiting for block confirmations before verification...");
+            await hre.ethers.provider.waitForTransaction(lastTx, confirmations);
+        }
+
+        for (const [key, entry] of pending) {
+            try {
+                await hre.run("verify:verify", {
+                    address: entry.address,
+                    constructorArguments: entry.args,
+                    libraries: entry.libraries
+                });
+                entry.verified = true;
+                console.log(key + " verified");
+            } catch (error) {
+                if (/already verified/i.test(error.message)) {
+                    entry.verified = true;
+                    console.log(key + " already verified");
+                } else {
+                    console.log(key + " verification failed:", error.message);
+                }
+            }
+            save();
+        }
+    }
+
+    return {
+        file,
+        persist,
+        record,
+        created,
+        checkChain,
+        deployContract,
+        recordContract,
+        existingAddress,
+        verifyPending,
+        save
+    };
+}
+
+// BigInts (amounts) are stored as strings
+function toJson(value) {
+    return JSON.parse(JSON.stringify(value, (key, v) => (typeof v === "bigint" ? v.toString() : v)));
+}
+
+module.exports = {
+    openDeployment
+};
@@ -0,0 +1,281 @@
+const fs = require("fs");
+const path = require("path");
+const { Contract, Interface, ZeroAddress } = require("ethers");
+const { createLogger } = require("./keeper");
+
+const DATA_DIR = path.join(__dirname, "..", "..", "data", "indexer");
+
+const VAULT_EVENTS = [
+    "YieldAccrued",
+    "Rebalanced",
+    "StrategyReported",
+    "WithdrawalQueued",
+    "WithdrawalCompleted",
+    "WithdrawalCancelled"
+];
+// Ticket burns (Transfer to the zero address) close requests claimed through the vault's withdraw/redeem,
+// which emit no WithdrawalCompleted
+const QUEUE_ABI = [
+    "event WithdrawalClaimable(uint256 indexed requestId, uint256 assets)",
+    "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)"
+];
+
+// Events after which the share price may have moved: the vault is snapshotted at their blocks
+const PRICE_EVENTS = ["YieldAccrued", "StrategyReported"];
+
+// Indexer options; an INDEXER_CONFIG file overrides any of these
+const DEFAULT_OPTIONS = {
+    fromBlock: null, // First block to index (default: the vault's deployment block, else 0)
+    pollInterval: 15, // Seconds between syncs when following the chain
+    snapshotInterval: 60 * 60, // Seconds between getVaultMetrics snapshots at the head
+    blockRange: 2000, // Blocks per eth_getLogs request
+    confirmations: 2, // Blocks behind the head, so reorged blocks are not indexed
+    port: 8080,
+    host: "127.0.0.1"
+};
+
+/**
+ * Merge an INDEXER_CONFIG file (JSON) over the default options
+ */
+function loadOptions(file) {
+    const overrides = file ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+    const unknown = Object.keys(overrides).filter((key) => !(key in DEFAULT_OPTIONS));
+    if (unknown.length > 0) throw new Error("Unknown indexer options: " + unknown.join(", "));
+    return { ...DEFAULT_OPTIONS, ...overrides };
+}
+
+/**
+ * Open the index of a vault: indexed events and metric snapshots, with amounts as decimal strings
+ * @param {string} network Network name
+ * @param {string} vault Vault address
+ * @param {object} [options]
+ * @param {string} [options.file] Index file, data/indexer/<network>/<vault>.json by default
+ * @param {boolean} [options.persist] Whether to read and write the file
+ */
+function openStore(network, vault, options = {}) {
+    const file = options.file || path.join(DATA_DIR, network, vault.toLowerCase() + ".json");
+    const persist = options.persist !== undefined ? options.persist : true;
+
+    const record = persist && fs.existsSync(file)
+        ? JSON.parse(fs.readFileSync(file, "utf8"))
+        : { network, chainId: null, vault, queue: null, lastBlock: null, lastTimestamp: null, events: [], snapshots: [] };
+    if (record.vault.toLowerCase() !== vault.toLowerCase()) {
+        throw new Error(file + " indexes vault " + record.vault + ", not " + vault);
+    }
+
+    function save() {
+        if (!persist) return;
+        record.updatedAt = new Date().toISOString();
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+
+        // Written aside and renamed, so an interrupted save never leaves a truncated index
+        fs.writeFileSync(file + ".tmp", JSON.stringify(record) + "\n");
+        fs.renameSync(file + ".tmp", file);
+    }
+
+    return { file, persist, record, save };
+}
+
+/**
+ * Event arguments by name, with integers as decimal strings
+ */
+function eventArgs(parsed) {
+    return Object.fromEntries(parsed.fragment.inputs.map((input, i) => {
+        const value = parsed.args[i];
+        return [input.name, typeof value === "bigint" ? value.toString() : value];
+    }));
+}
+
+/**
+ * Indexer for one vault: backfills its events from the start block, then follows the chain,
+ * snapshotting getVaultMetrics at blocks where the share price may have moved and every
+ * `snapshotInterval` at the head
+ * @param {object} options
+ * @param {object} options.vault MultiStrategyVault contract
+ * @param {object} options.store See openStore
+ * @param {object} [options.options] See DEFAULT_OPTIONS
+ * @param {object} [options.logger] See createLogger
+ */
+function createIndexer({ vault, store, options = DEFAULT_OPTIONS, logger = createLogger() }) {
+    const provider = vault.runner.provider;
+    const record = store.record;
+    const queueInterface = new Interface(QUEUE_ABI);
+
+    let vaultAddress, queueAddress, topics;
+    let historical = true; // Whether the node serves state at past blocks
+    let running = false;
+    let wake;
+
+    const timestamps = new Map();
+    async function blockTimestamp(blockNumber) {
+        if (!timestamps.has(blockNumber)) {
+            timestamps.set(blockNumber, (await provider.getBlock(blockNumber)).timestamp);
+        }
+        return timestamps.get(blockNumber);
+    }
+
+    async function init() {
+        if (vaultAddress) return;
+        vaultAddress = await vault.getAddress();
+        queueAddress = await vault.withdrawalQueue();
+        topics = [
+            ...VAULT_EVENTS.map((name) => vault.interface.getEvent(name).topicHash),
+            queueInterface.getEvent("WithdrawalClaimable").topicHash,
+            queueInterface.getEvent("Transfer").topicHash
+        ];
+
+        const chainId = Number((await provider.getNetwork()).chainId);
+        if (record.chainId !== null && record.chainId !== chainId) {
+            throw new Error(store.file + " was indexed on chain " + record.chainId + ", connected to " + chainId);
+        }
+        record.chainId = chainId;
+        record.queue = queueAddress;
+        if (record.lastBlock === null) record.lastBlock = (options.fromBlock || 0) - 1;
+    }
+
+    /**
+     * getVaultMetrics at `blockNumber`, or undefined if the node cannot serve it; past blocks need an
+     * archive node
+     */
+    async function snapshot(blockNumber) {
+        let metrics;
+        try {
+            metrics = await vault.getVaultMetrics({ blockTag: blockNumber });
+        } catch (error) {
+            // Nodes that prune state only answer for recent blocks; keep indexing events
+            if (!historical) return undefined;
+            historical = false;
+            logger.warn("historical-state-unavailable", { block: blockNumber, error: error.shortMessage || error.message });
+            return undefined;
+        }
+
+        return {
+            block: blockNumber,
+            timestamp: await blockTimestamp(blockNumber),
+            totalAssets: metrics.totalAssetsAmount.toString(),
+            totalSupply: metrics.totalSharesAmount.toString(),
+            pricePerShare: metrics.pricePerShare.toString(),
+            queuedWithdrawals: metrics.queuedWithdrawals.toString()
+        };
+    }
+
+    /**
+     * Index logs of blocks `fromBlock` to `toBlock`. The range's events and snapshots are added to the
+     * record together with `lastBlock`, so a range that fails partway is retried from scratch
+     */
+    async function indexRange(fromBlock, toBlock) {
+        try {
+            const logs = await provider.getLogs({ address: [vaultAddress, queueAddress], topics: [topics], fromBlock, toBlock });
+            const events = [];
+            const snapshots = [];
+            const priceBlocks = new Set();
+
+            for (const log of logs) {
+                const fromQueue = log.address.toLowerCase() === queueAddress.toLowerCase();
+                const parsed = fromQueue ? queueInterface.parseLog(log) : vault.interface.parseLog(log);
+                if (!parsed) continue;
+                // The vault's share transfers match the same topic; of the queue's, only burns are kept
+                if (parsed.name === "Transfer" && !(fromQueue && parsed.args.to === ZeroAddress)) continue;
+
+                events.push({
+                    name: parsed.name,
+                    block: log.blockNumber,
+                    logIndex: log.index,
+                    tx: log.transactionHash,
+                    timestamp: await blockTimestamp(log.blockNumber),
+                    args: eventArgs(parsed)
+                });
+                if (PRICE_EVENTS.includes(parsed.name)) priceBlocks.add(log.blockNumber);
+            }
+
+            const last = record.snapshots[record.snapshots.length - 1];
+            for (const blockNumber of [...priceBlocks].sort((a, b) => a - b)) {
+                if (last && last.block >= blockNumber) continue;
+                const taken = await snapshot(blockNumber);
+                if (taken) snapshots.push(taken);
+            }
+            const lastTimestamp = await blockTimestamp(toBlock);
+
+            record.events.push(...events);
+            record.snapshots.push(...snapshots);
+            record.lastBlock = toBlock;
+            record.lastTimestamp = lastTimestamp;
+            store.save();
+
+            logger.debug("indexed", { fromBlock, toBlock, events: events.length });
+        } finally {
+            // Only the range's own blocks are looked up, so the cache does not outlive it
+            timestamps.clear();
+        }
+    }
+
+    /**
+     * Index every block up to the confirmed head, then snapshot the head if one is due
+     * @returns {Promise<object>} Last indexed block and what the sync added
+     */
+    async function sync() {
+        await init();
+        const events = record.events.length;
+        const snapshots = record.snapshots.length;
+
+        const head = (await provider.getBlockNumber()) - options.confirmations;
+        for (let from = record.lastBlock + 1; from <= head; from += options.blockRange) {
+            await indexRange(from, Math.min(from + options.blockRange - 1, head));
+        }
+
+        const last = record.snapshots[record.snapshots.length - 1];
+        if (head >= 0 && (!last || (last.block < head && (await blockTimestamp(head)) - last.timestamp >= options.snapshotInterval))) {
+            const taken = await snapshot(head);
+            if (taken) {
+                record.snapshots.push(taken);
+                store.save();
+            }
+        }
+        timestamps.clear();
+
+        const added = {
+            lastBlock: record.lastBlock,
+            events: record.events.length - events,
+            snapshots: record.snapshots.length - snapshots
+        };
+        if (added.events > 0 || added.snapshots > 0) logger.info("synced", added);
+        return added;
+    }
+
+    /**
+     * Sync every `pollInterval` until `stop`
+     */
+    async function run() {
+        running = true;
+        logger.info("indexer-started", { vault: await vault.getAddress(), file: store.file, lastBlock: record.lastBlock });
+
+        while (running) {
+            try {
+                await sync();
+            } catch (error) {
+                logger.error("sync-failed", { error: error.shortMessage || error.message });
+            }
+
+            if (!running) break;
+            await new Promise((resolve) => {
+                wake = resolve;
+                setTimeout(resolve, options.pollInterval * 1000);
+            });
+        }
+        logger.info("indexer-stopped");
+    }
+
+    function stop() {
+        running = false;
+        if (wake) wake();
+    }
+
+    return { sync, run, stop };
+}
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    loadOptions,
+    openStore,
+    createIndexer
+};
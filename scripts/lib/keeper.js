@@ -0,0 +1,483 @@
+const fs = require("fs");
+const { Contract } = require("ethers");
+
+const BPS = 10000n;
+const ADAPTER_ABI = ["function balanceOf(address strategy, address account) view returns (uint256)"];
+const QUEUE_ABI = ["function pendingDemand(uint256 maxCount) view returns (uint256)"];
+const ERC20_ABI = ["function balanceOf(address account) view returns (uint256)"];
+const MIN_FEE_BUMP_PERCENT = 10; // Smallest fee increase nodes accept for a replacement transaction
+
+// Keeper policy; a KEEPER_CONFIG file overrides any of these
+const DEFAULT_POLICY = {
+    pollInterval: 60, // Seconds between ticks
+    driftThresholdBps: 200, // Rebalance once a strategy is this far from target, in bps of total assets
+    minRebalanceInterval: 6 * 60 * 60, // Seconds between drift rebalances
+    reportThresholdBps: 50, // Report a strategy whose balance moved this far from its debt
+    maxReportAge: 24 * 60 * 60, // Report a strategy not reported for this long (0 = never)
+    maxWithdrawalsPerTx: 20, // Requests fulfilled per processWithdrawals
+    maxActionsPerTick: 6,
+    maxGasPriceGwei: 100, // No transaction is sent above this gas price
+    maxGasPerTx: 5_000_000, // Nor one estimated above this much gas
+    gasLimitMultiplier: 1.2, // Headroom on the gas estimate
+    maxRetries: 3,
+    retryDelay: 15, // Seconds, multiplied by the attempt number
+    txTimeout: 180, // Seconds to wait for a transaction before replacing it with a higher fee
+    feeBumpPercent: 15, // Fee increase of a replacement over the transaction it replaces (at least 10)
+    confirmations: 1,
+    blockRange: 2000 // Blocks per eth_getLogs request
+};
+
+/**
+ * Merge a KEEPER_CONFIG file (JSON) over the default policy
+ */
+function loadPolicy(file) {
+    const overrides = file ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+    const unknown = Object.keys(overrides).filter((key) => !(key in DEFAULT_POLICY));
+    if (unknown.length > 0) throw new Error("Unknown keeper policy keys: " + unknown.join(", "));
+    return { ...DEFAULT_POLICY, ...overrides };
+}
+
+/**
+ * Structured logger writing one JSON object per line
+ */
+function createLogger({ level = "info", write = (line) => process.stdout.write(line + "\n"), base = {} } = {}) {
+    const levels = ["debug", "info", "warn", "error"];
+    const threshold = levels.indexOf(level);
+
+    const log = (lvl) => (event, fields = {}) => {
+        if (levels.indexOf(lvl) < threshold) return;
+        const entry = { time: new Date().toISOString(), level: lvl, event, ...base, ...fields };
+        write(JSON.stringify(entry, (key, value) => (typeof value === "bigint" ? value.toString() : value)));
+    };
+
+    return Object.fromEntries(levels.map((lvl) => [lvl, log(lvl)]));
+}
+
+/**
+ * Decide what the keeper should do next for a snapshot of the vault (see `readState`)
+ * @returns {object[]} Actions in the order they should run; each has a `type` and a `reason`
+ */
+function planActions(state, policy) {
+    const actions = [];
+    const base = state.totalAssets + state.lockedProfit;
+
+    // Bring strategy values into the accounting before anything is sized from them
+    for (const strategy of state.strategies) {
+        if (!strategy.active || strategy.currentDebt === 0n) continue;
+
+        const delta = strategy.balance > strategy.currentDebt
+            ? strategy.balance - strategy.currentDebt
+            : strategy.currentDebt - strategy.balance;
+        if (delta * BPS >= strategy.currentDebt * BigInt(policy.reportThresholdBps)) {
+            actions.push({ type: "processReport", strategyId: strategy.id, reason: "balance-moved" });
+        } else if (policy.maxReportAge > 0 && state.timestamp - strategy.lastReport >= policy.maxReportAge) {
+            actions.push({ type: "processReport", strategyId: strategy.id, reason: "report-stale" });
+        }
+    }
+
+    const unlocks = state.strategies.filter((s) => s.pendingUnlock.assets > 0n);
+    const matured = unlocks.filter((s) => s.pendingUnlock.unlockTime <= state.timestamp);
+
+    // Queued requests: processWithdrawals frees instant liquidity first and queues unlocks in
+    // lockup strategies for the rest. While those unlocks are in flight there is nothing to do
+    // until the first one matures
+    let servicing = false;
+    if (state.pendingDemand > 0n) {
+        const waiting = unlocks.length > 0 && matured.length === 0 && state.idle < state.pendingDemand;
+        if (!waiting) {
+            actions.push({ type: "processWithdrawals", count: policy.maxWithdrawalsPerTx, reason: "queued-demand" });
+            servicing = true;
+        }
+    }
+
+    if (!state.paused && !state.shutdown && state.moves.length > 0 && base > 0n) {
+        const maxDriftBps = state.moves.reduce((max, move) => {
+            const amount = move.amount < 0n ? -move.amount : move.amount;
+            const drift = (amount * BPS) / base;
+            return drift > max ? drift : max;
+        }, 0n);
+        const underfunded = state.totalQueuedWithdrawals > state.idle
+            && unlocks.length === 0
+            && state.moves.some((m) => m.amount < 0n);
+        const due = state.timestamp - state.lastRebalance >= policy.minRebalanceInterval;
+
+        // Queued demand the idle balance cannot cover justifies a rebalance right away, unless
+        // unlocks already in flight are going to cover it
+        if (underfunded && !servicing) {
+            actions.push({ type: "rebalance", reason: "queued-demand", driftBps: maxDriftBps });
+        } else if (maxDriftBps >= BigInt(policy.driftThresholdBps) && due) {
+            actions.push({ type: "rebalance", reason: "drift", driftBps: maxDriftBps });
+        }
+    }
+
+    // Rebalances and withdrawal processing claim matured unlocks themselves
+    const claims = actions.some((a) => a.type === "rebalance" || a.type === "processWithdrawals");
+    if (matured.length > 0 && !claims) {
+        actions.push({ type: "claimUnlocks", reason: "unlock-matured", strategyIds: matured.map((s) => s.id) });
+    }
+
+    return actions;
+}
+
+/**
+ * Seconds until the earliest pending unlock matures, if any
+ */
+function nextUnlockIn(state) {
+    const times = state.strategies
+        .filter((s) => s.pendingUnlock.assets > 0n && s.pendingUnlock.unlockTime > state.timestamp)
+        .map((s) => s.pendingUnlock.unlockTime - state.timestamp);
+    return times.length > 0 ? Math.min(...times) : undefined;
+}
+
+/**
+ * Snapshot of the vault the planner works from; the keeper adds `lastRebalance`
+ */
+async function readState(vault, queue, asset, policy) {
+    const provider = vault.runner.provider;
+    const vaultAddress = await vault.getAddress();
+    const block = await provider.getBlock("latest");
+
+    const [totalAssets] = await vault.getVaultMetrics();
+    const strategies = [];
+    for (const [id, strategy] of (await vault.getStrategies()).entries()) {
+        if (!strategy.isActive) continue;
+
+        const adapter = new Contract(strategy.adapter, ADAPTER_ABI, provider);
+        const unlock = await vault.pendingUnlocks(id);
+        strategies.push({
+            id,
+            active: true,
+            hasLockup: strategy.hasLockup,
+            allocationBps: strategy.allocationBps,
+            currentDebt: strategy.currentDebt,
+            lastReport: Number(strategy.lastReport),
+            balance: await adapter.balanceOf(strategy.strategyAddress, vaultAddress),
+            pendingUnlock: { assets: unlock.assets, unlockTime: Number(unlock.unlockTime) }
+        });
+    }
+
+    return {
+        block: block.number,
+        timestamp: block.timestamp,
+        totalAssets,
+        lockedProfit: await vault.currentLockedProfit(),
+        idle: await asset.balanceOf(vaultAddress),
+        totalQueuedWithdrawals: await vault.totalQueuedWithdrawals(),
+        pendingDemand: await queue.pendingDemand(policy.maxWithdrawalsPerTx),
+        paused: await vault.paused(),
+        shutdown: await vault.isShutdown(),
+        strategies,
+        moves: (await vault.previewRebalance()).map((m) => ({ strategyId: Number(m.strategyId), amount: m.amount }))
+    };
+}
+
+/**
+ * Sends keeper transactions: local nonce tracking, gas ceilings, retries of transient failures
+ * and fee-bumped replacement of transactions that are not mined in time
+ */
+function createSender(signer, policy, logger) {
+    const provider = signer.provider;
+    let nonce;
+
+    const sleep = (seconds) => new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+    const isNonceError = (error) => error.code === "NONCE_EXPIRED" || /nonce/i.test(error.message);
+    const isRevert = (error) => error.code === "CALL_EXCEPTION" || /revert/i.test(error.message);
+
+    async function resyncNonce() {
+        nonce = await provider.getTransactionCount(await signer.getAddress(), "pending");
+    }
+
+    const ceiling = BigInt(Math.round(policy.maxGasPriceGwei * 1e9));
+
+    /**
+     * Fee fields for a new transaction, or `aboveCeiling` when gas is above the ceiling
+     */
+    async function fees() {
+        const feeData = await provider.getFeeData();
+
+        if (feeData.maxFeePerGas !== null) {
+            if (feeData.maxFeePerGas > ceiling) return { aboveCeiling: feeData.maxFeePerGas };
+            return { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas };
+        }
+        if (feeData.gasPrice > ceiling) return { aboveCeiling: feeData.gasPrice };
+        return { gasPrice: feeData.gasPrice };
+    }
+
+    /**
+     * Fee fields for a transaction replacing one sent with `previous`: `feeBumpPercent` above it, or
+     * the current fees if higher, capped at the ceiling. Undefined when the ceiling leaves no room
+     * for the 10% increase nodes require of a replacement
+     */
+    async function replacementFees(previous) {
+        const feeData = await provider.getFeeData();
+        const percent = BigInt(100 + Math.max(policy.feeBumpPercent, MIN_FEE_BUMP_PERCENT));
+
+        const fee = {};
+        for (const [field, value] of Object.entries(previous)) {
+            const bumped = (value * percent + 99n) / 100n;
+            const target = feeData[field] !== null && feeData[field] > bumped ? feeData[field] : bumped;
+            fee[field] = target < ceiling ? target : ceiling;
+
+            if (fee[field] * 100n < value * BigInt(100 + MIN_FEE_BUMP_PERCENT)) return undefined;
+        }
+        return fee;
+    }
+
+    function mined(label, receipt) {
+        nonce += 1;
+        if (receipt.status !== 1) throw Object.assign(new Error(label + " reverted"), { code: "CALL_EXCEPTION" });
+
+        logger.info("tx-mined", { action: label, hash: receipt.hash, block: receipt.blockNumber, gasUsed: receipt.gasUsed });
+        return receipt;
+    }
+
+    /**
+     * Send `tx` ({ to, data }) and wait for it to be mined
+     * @returns Receipt, or undefined when the gas ceiling stopped it
+     */
+    async function send(label, tx) {
+        const from = await signer.getAddress();
+        const estimate = await provider.estimateGas({ ...tx, from });
+        if (estimate > BigInt(policy.maxGasPerTx)) {
+            logger.warn("gas-limit-above-ceiling", { action: label, estimate, ceiling: policy.maxGasPerTx });
+            return undefined;
+        }
+        const gasLimit = BigInt(Math.min(Math.ceil(Number(estimate) * policy.gasLimitMultiplier), policy.maxGasPerTx));
+
+        if (nonce === undefined) await resyncNonce();
+        const sent = []; // Hashes of this transaction and its replacements
+        let pending; // Last transaction sent with the current nonce, and its fees
+
+        for (let attempt = 1; ; attempt++) {
+            let fee;
+            if (pending === undefined) {
+                fee = await fees();
+                if (fee.aboveCeiling !== undefined) {
+                    logger.warn("gas-price-above-ceiling", {
+                        action: label,
+                        gasPrice: fee.aboveCeiling,
+                        ceilingGwei: policy.maxGasPriceGwei
+                    });
+                    return undefined;
+                }
+            } else {
+                fee = await replacementFees(pending.fee);
+            }
+
+            try {
+                if (fee !== undefined) {
+                    const response = await signer.sendTransaction({ ...tx, ...fee, gasLimit, nonce });
+                    pending = { response, fee };
+                    sent.push(response.hash);
+                    logger.info("tx-sent", { action: label, hash: response.hash, nonce, attempt, ...fee });
+                } else {
+                    // Paying more would cross the ceiling: keep waiting for the last one
+                    logger.warn("fee-at-ceiling", { action: label, hash: pending.response.hash, nonce, attempt });
+                }
+
+                return mined(label, await pending.response.wait(policy.confirmations, policy.txTimeout * 1000));
+            } catch (error) {
+                if (isRevert(error)) {
+                    // A reverted transaction may still have used the nonce
+                    await resyncNonce();
+                    throw error;
+                }
+
+                // An earlier send of this transaction may have been mined in the meantime
+                for (const hash of sent) {
+                    const receipt = await provider.getTransactionReceipt(hash);
+                    if (receipt) return mined(label, receipt);
+                }
+                if (attempt >= policy.maxRetries) throw error;
+
+                if (error.code === "TIMEOUT") {
+                    // Replace the stuck transaction: same nonce, higher fee
+                    logger.warn("tx-timeout", { action: label, nonce, attempt });
+                    continue;
+                }
+                if (isNonceError(error)) {
+                    await resyncNonce();
+                    pending = undefined;
+                    logger.warn("nonce-resynced", { action: label, nonce, attempt });
+                    continue;
+                }
+
+                logger.warn("tx-retry", { action: label, attempt, error: error.shortMessage || error.message });
+                await sleep(policy.retryDelay * attempt);
+            }
+        }
+    }
+
+    return { send, resyncNonce };
+}
+
+/**
+ * Keeper for one vault: each tick reads the vault, plans, sends the first action, and plans again
+ * from the new state, so every decision sees the effect of the previous one
+ * @param {object} options
+ * @param {object} options.vault MultiStrategyVault contract connected to the keeper's signer
+ * @param {object} options.policy See DEFAULT_POLICY
+ * @param {object} options.logger See createLogger
+ * @param {object} [options.sender] See createSender (default: one for the vault's signer)
+ */
+function createKeeper({ vault, policy = DEFAULT_POLICY, logger = createLogger(), sender }) {
+    const signer = vault.runner;
+    const provider = signer.provider;
+    sender = sender || createSender(signer, policy, logger);
+
+    let queue, asset, vaultAddress;
+    let lastBlock; // Last block whose events were read
+    let lastRebalance = 0;
+    let lastState;
+    let running = false;
+    let wake;
+
+    async function init() {
+        if (queue) return;
+        vaultAddress = await vault.getAddress();
+        queue = new Contract(await vault.withdrawalQueue(), QUEUE_ABI, provider);
+        asset = new Contract(await vault.asset(), ERC20_ABI, provider);
+
+        // Start from the last rebalance on record, so a restart keeps the rebalance interval. Ranges
+        // are read newest first and the search stops at the first one holding a rebalance
+        lastBlock = await provider.getBlockNumber();
+        const fromBlock = Math.max(0, lastBlock - 50_000);
+        for (let to = lastBlock; to >= fromBlock; to -= policy.blockRange) {
+            const from = Math.max(to - policy.blockRange + 1, fromBlock);
+            const rebalances = await vault.queryFilter(vault.filters.Rebalanced(), from, to);
+            if (rebalances.length > 0) {
+                lastRebalance = Number(rebalances[rebalances.length - 1].args.timestamp);
+                break;
+            }
+        }
+    }
+
+    /**
+     * Log vault events since the previous tick
+     */
+    async function watchEvents(toBlock) {
+        if (toBlock <= lastBlock) return;
+
+        const filters = [
+            vault.filters.WithdrawalQueued(),
+            vault.filters.YieldAccrued(),
+            vault.filters.UnlockRequested(),
+            vault.filters.UnlockClaimed()
+        ];
+        for (const filter of filters) {
+            for (const event of await vault.queryFilter(filter, lastBlock + 1, toBlock)) {
+                logger.info("vault-event", {
+                    name: event.fragment.name,
+                    block: event.blockNumber,
+                    tx: event.transactionHash,
+                    args: Object.fromEntries(event.fragment.inputs.map((input, i) => [input.name, event.args[i]]))
+                });
+            }
+        }
+        lastBlock = toBlock;
+    }
+
+    async function execute(action) {
+        const calls = {
+            processReport: () => ["processReport", [action.strategyId]],
+            processWithdrawals: () => ["processWithdrawals", [action.count]],
+            rebalance: () => ["rebalance", []],
+            claimUnlocks: () => ["claimUnlocks", []]
+        };
+        const [method, args] = calls[action.type]();
+        const data = vault.interface.encodeFunctionData(method, args);
+
+        logger.info("action", action);
+        const receipt = await sender.send(action.type, { to: vaultAddress, data });
+        if (receipt && action.type === "rebalance") {
+            lastRebalance = (await provider.getBlock(receipt.blockNumber)).timestamp;
+        }
+        return receipt;
+    }
+
+    /**
+     * One pass: read events and state, then act until the planner has nothing left to do
+     * @returns {Promise<object[]>} Actions that were sent
+     */
+    async function tick() {
+        await init();
+
+        const done = [];
+        const attempted = new Set();
+        let state;
+
+        for (let i = 0; i < policy.maxActionsPerTick; i++) {
+            state = { ...(await readState(vault, queue, asset, policy)), lastRebalance };
+            if (i === 0) {
+                await watchEvents(state.block);
+                logger.debug("state", {
+                    block: state.block,
+                    totalAssets: state.totalAssets,
+                    idle: state.idle,
+                    pendingDemand: state.pendingDemand
+                });
+            }
+
+            // Each kind of action (per strategy) runs at most once per tick
+            const action = planActions(state, policy).find((a) => !attempted.has(a.type + ":" + (a.strategyId ?? "")));
+            if (!action) break;
+            attempted.add(action.type + ":" + (action.strategyId ?? ""));
+
+            try {
+                if (await execute(action)) done.push(action);
+            } catch (error) {
+                logger.error("action-failed", { action: action.type, error: error.shortMessage || error.message });
+            }
+        }
+
+        lastState = state;
+        const unlockIn = nextUnlockIn(state);
+        if (unlockIn !== undefined && state.pendingDemand > 0n) {
+            logger.info("waiting-for-unlock", { pendingDemand: state.pendingDemand, seconds: unlockIn });
+        }
+        return done;
+    }
+
+    /**
+     * Tick every `pollInterval` (sooner when an unlock matures first) until `stop`
+     */
+    async function run() {
+        running = true;
+        logger.info("keeper-started", { vault: await vault.getAddress(), keeper: await signer.getAddress(), policy });
+
+        while (running) {
+            let delay = policy.pollInterval;
+            try {
+                await tick();
+                const unlockIn = nextUnlockIn(lastState);
+                if (unlockIn !== undefined) delay = Math.min(delay, unlockIn + 1);
+            } catch (error) {
+                logger.error("tick-failed", { error: error.shortMessage || error.message });
+            }
+
+            if (!running) break;
+            await new Promise((resolve) => {
+                wake = resolve;
+                setTimeout(resolve, delay * 1000);
+            });
+        }
+        logger.info("keeper-stopped");
+    }
+
+    function stop() {
+        running = false;
+        if (wake) wake();
+    }
+
+    return { tick, run, stop };
+}
+
+module.exports = {
+    DEFAULT_POLICY,
+    loadPolicy,
+    createLogger,
+    planActions,
+    readState,
+    createSender,
+    createKeeper
+};
@@ -0,0 +1,310 @@
+const { Interface, ZeroAddress } = require("ethers");
+
+// Per-account ledger rebuilt from the vault's events. Amounts are in asset units, with the average
+// cost method:
+//   - Deposits add shares at the assets paid; fee shares and other mints come at zero cost
+//   - Instant withdrawals dispose of shares: realized PnL is the assets paid out minus their cost
+//   - A queued withdrawal is a disposal when it is requested, since the shares are burned and the
+//     assets fixed then. The assets become a receivable of the ticket holder, paid out when the
+//     request is completed or claimed, and moving with the ticket when it is transferred
+//   - A cancelled request gives the holder back shares, acquired at the request's assets
+//   - Share transfers move shares with the sender's average cost; nothing is realized
+
+const VAULT_EVENTS = [
+    "Transfer",
+    "Deposit",
+    "Withdraw",
+    "WithdrawalQueued",
+    "WithdrawalCompleted",
+    "WithdrawalCancelled",
+    "FeesAccrued"
+];
+const QUEUE_ABI = [
+    "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+    "event WithdrawalClaimable(uint256 indexed requestId, uint256 assets)"
+];
+
+/**
+ * Vault and withdrawal queue events the ledger is built from, oldest first
+ * @param {object} vault MultiStrategyVault contract
+ * @param {object} range `fromBlock` (the vault's deployment block for a complete ledger), `toBlock`,
+ *                       and `blockRange`, the most blocks per eth_getLogs request
+ */
+async function fetchLedgerEvents(vault, { fromBlock = 0, toBlock, blockRange = 2000 }) {
+    const provider = vault.runner.provider;
+    const vaultAddress = (await vault.getAddress()).toLowerCase();
+    const queueAddress = (await vault.withdrawalQueue()).toLowerCase();
+    const queueInterface = new Interface(QUEUE_ABI);
+
+    // ERC-20 and ERC-721 Transfer share a topic; the emitting contract tells them apart
+    const topics = [...new Set([
+        ...VAULT_EVENTS.map((name) => vault.interface.getEvent(name).topicHash),
+        ...queueInterface.fragments.map((fragment) => fragment.topicHash)
+    ])];
+
+    const events = [];
+    for (let from = fromBlock; from <= toBlock; from += blockRange) {
+        const to = Math.min(from + blockRange - 1, toBlock);
+        const logs = await provider.getLogs({ address: [vaultAddress, queueAddress], topics: [topics], fromBlock: from, toBlock: to });
+
+        for (const log of logs) {
+            const source = log.address.toLowerCase() === queueAddress ? "queue" : "vault";
+            const parsed = (source === "queue" ? queueInterface : vault.interface).parseLog(log);
+            if (!parsed) continue;
+
+            events.push({
+                source,
+                name: parsed.name,
+                block: log.blockNumber,
+                logIndex: log.index,
+                tx: log.transactionHash,
+                args: parsed.args.toObject()
+            });
+        }
+    }
+    return events.sort((a, b) => a.block - b.block || a.logIndex - b.logIndex);
+}
+
+/**
+ * Replay events into positions and ledger entries
+ * @param {object[]} events See fetchLedgerEvents; must start at the vault's deployment for correct cost basis
+ * @param {object} [options]
+ * @param {number} [options.fromBlock] Entries before this block are applied but not returned, and
+ *                                     positions carry their `opening` state at this block
+ * @returns {{ positions: object[], entries: object[] }}
+ */
+function buildLedger(events, { fromBlock = 0 } = {}) {
+    const positions = new Map();
+    const requests = new Map(); // Request id => { holder, assets still owed, claimable }
+    const entries = [];
+    let staged = []; // Mints and burns of the current transaction, waiting for the event explaining them
+    let stagedTx;
+    let opened = false;
+
+    const position = (account) => {
+        if (!positions.has(account)) {
+            positions.set(account, {
+                account,
+                shares: 0n,
+                costBasis: 0n,
+                realizedPnl: 0n,
+                deposited: 0n,
+                withdrawn: 0n,
+                queued: 0n,
+                opening: opened ? { shares: 0n, costBasis: 0n, realizedPnl: 0n, queued: 0n } : undefined
+            });
+        }
+        return positions.get(account);
+    };
+
+    function open() {
+        opened = true;
+        for (const p of positions.values()) {
+            p.opening = { shares: p.shares, costBasis: p.costBasis, realizedPnl: p.realizedPnl, queued: p.queued };
+        }
+    }
+
+    function entry(event, account, type, change) {
+        if (event.block < fromBlock) return;
+        const p = position(account);
+        entries.push({
+            block: event.block,
+            tx: event.tx,
+            logIndex: event.logIndex,
+            account,
+            type,
+            shares: 0n,
+            assets: 0n,
+            costBasis: 0n,
+            realizedPnl: 0n,
+            ...change,
+            sharesAfter: p.shares,
+            costBasisAfter: p.costBasis,
+            queuedAfter: p.queued
+        });
+    }
+
+    function acquire(event, account, type, shares, cost, assets = cost) {
+        const p = position(account);
+        p.shares += shares;
+        p.costBasis += cost;
+        entry(event, account, type, { shares, assets, costBasis: cost });
+    }
+
+    /**
+     * Remove `shares` at their average cost; `proceeds` is undefined for transfers, which realize nothing
+     * @returns Cost basis removed
+     */
+    function dispose(event, account, type, shares, proceeds) {
+        const p = position(account);
+        const cost = p.shares > 0n ? (p.costBasis * shares) / p.shares : 0n;
+        const realized = proceeds === undefined ? 0n : proceeds - cost;
+
+        p.shares -= shares;
+        p.costBasis -= cost;
+        p.realizedPnl += realized;
+        entry(event, account, type, { shares: -shares, assets: proceeds || 0n, costBasis: -cost, realizedPnl: realized });
+        return cost;
+    }
+
+    function payOut(event, account, type, assets) {
+        const p = position(account);
+        p.queued -= assets;
+        p.withdrawn += assets;
+        entry(event, account, type, { assets });
+    }
+
+    /**
+     * Take the staged mint (`from` zero) or burn (`to` zero) matching `account` and, if given, `shares`
+     */
+    function take(kind, account, shares) {
+        const index = staged.findIndex((t) => t.kind === kind && t.account === account && (shares === undefined || t.shares === shares));
+        return index === -1 ? undefined : staged.splice(index, 1)[0];
+    }
+
+    // Mints and burns nothing explained: a mint is acquired at zero cost, a burn is a total loss
+    function flush() {
+        for (const t of staged) {
+            if (t.kind === "mint") acquire(t.event, t.account, "mint", t.shares, 0n);
+            else dispose(t.event, t.account, "burn", t.shares, 0n);
+        }
+        staged = [];
+    }
+
+    for (const event of events) {
+        if (event.tx !== stagedTx) {
+            flush();
+            stagedTx = event.tx;
+        }
+        if (!opened && event.block >= fromBlock) open();
+        const args = event.args;
+
+        switch (event.source + ":" + event.name) {
+            case "vault:Transfer": {
+                if (args.from === ZeroAddress) {
+                    staged.push({ kind: "mint", account: args.to, shares: args.value, event });
+                } else if (args.to === ZeroAddress) {
+                    staged.push({ kind: "burn", account: args.from, shares: args.value, event });
+                } else {
+                    const cost = dispose(event, args.from, "transfer-out", args.value);
+                    acquire(event, args.to, "transfer-in", args.value, cost, 0n);
+                }
+                break;
+            }
+            case "vault:Deposit": {
+                if (!take("mint", args.owner, args.shares)) break;
+                position(args.owner).deposited += args.assets;
+                acquire(event, args.owner, "deposit", args.shares, args.assets);
+                break;
+            }
+            case "vault:FeesAccrued": {
+                const mint = take("mint", args.recipient);
+                if (mint) acquire(event, args.recipient, "fee", mint.shares, 0n);
+                break;
+            }
+            case "vault:Withdraw": {
+                if (take("burn", args.owner, args.shares)) {
+                    position(args.owner).withdrawn += args.assets;
+                    dispose(event, args.owner, "withdraw", args.shares, args.assets);
+                    break;
+                }
+
+                // No burn: an ERC-7540 claim of the owner's claimable requests. The queue consumes
+                // them from its last ticket, approximated here by the highest request id
+                let remaining = args.assets;
+                const claimable = [...requests.entries()]
+                    .filter(([, r]) => r.holder === args.owner && r.claimable && r.assets > 0n)
+                    .sort(([a], [b]) => (a > b ? -1 : 1));
+                for (const [, request] of claimable) {
+                    const part = remaining < request.assets ? remaining : request.assets;
+                    request.assets -= part;
+                    remaining -= part;
+                    if (remaining === 0n) break;
+                }
+                payOut(event, args.owner, "claim", args.assets);
+                break;
+            }
+            case "vault:WithdrawalQueued": {
+                if (!take("burn", args.user, args.shares)) break;
+                dispose(event, args.user, "request", args.shares, args.assets);
+
+                const request = requests.get(args.requestId);
+                request.assets = args.assets;
+                position(request.holder).queued += args.assets;
+                entry(event, request.holder, "queued", { assets: args.assets });
+                break;
+            }
+            case "vault:WithdrawalCompleted": {
+                requests.get(args.requestId).assets = 0n;
+                payOut(event, args.receiver, "complete", args.assets);
+                break;
+            }
+            case "vault:WithdrawalCancelled": {
+                const request = requests.get(args.requestId);
+                if (!take("mint", args.holder, args.shares)) break;
+
+                position(args.holder).queued -= request.assets;
+                acquire(event, args.holder, "cancel", args.shares, request.assets);
+                request.assets = 0n;
+                break;
+            }
+            case "queue:Transfer": {
+                if (args.from === ZeroAddress) {
+                    requests.set(args.tokenId, { holder: args.to, assets: 0n, claimable: false });
+                } else if (args.to !== ZeroAddress) {
+                    const request = requests.get(args.tokenId);
+                    request.holder = args.to;
+                    position(args.from).queued -= request.assets;
+                    entry(event, args.from, "ticket-out", { assets: request.assets });
+                    position(args.to).queued += request.assets;
+                    entry(event, args.to, "ticket-in", { assets: request.assets });
+                }
+                break;
+            }
+            case "queue:WithdrawalClaimable": {
+                requests.get(args.requestId).claimable = true;
+                break;
+            }
+        }
+    }
+    flush();
+    if (!opened) open();
+
+    return {
+        positions: [...positions.values()].map((p) => ({ ...p, realizedInRange: p.realizedPnl - p.opening.realizedPnl })),
+        entries
+    };
+}
+
+/**
+ * Value positions at `blockTag` and add their unrealized PnL
+ */
+async function valuePositions(vault, positions, blockTag) {
+    for (const p of positions) {
+        p.value = p.shares > 0n ? await vault.convertToAssets(p.shares, { blockTag }) : 0n;
+        p.unrealizedPnl = p.value - p.costBasis;
+    }
+    return positions;
+}
+
+/**
+ * CSV with a header row; `columns` maps each header to a function of the row
+ */
+function toCsv(rows, columns) {
+    const escape = (value) => {
+        const text = value === undefined || value === null ? "" : String(value);
+        return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    };
+    const lines = [Object.keys(columns).map(escape).join(",")];
+    for (const row of rows) {
+        lines.push(Object.values(columns).map((column) => escape(column(row))).join(","));
+    }
+    return lines.join("\n") + "\n";
+}
+
+module.exports = {
+    fetchLedgerEvents,
+    buildLedger,
+    valuePositions,
+    toCsv
+};
@@ -0,0 +1,196 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// Limits enforced on-chain; keep in sync with MultiStrategyVault, VaultTimelock and VaultGateway
+const MAX_ALLOCATION_BPS = 6000;
+const BPS_DENOMINATOR = 10000;
+const MAX_DECIMALS_OFFSET = 18;
+const MAX_MANAGEMENT_FEE_BPS = 500;
+const MAX_PERFORMANCE_FEE_BPS = 3000;
+const MAX_PROFIT_UNLOCK_PERIOD = 30 * 24 * 60 * 60;
+const MINIMUM_TIMELOCK_DELAY = 24 * 60 * 60;
+
+const STRATEGY_TYPES = ["erc4626", "custom"];
+const MANIFEST_DIR = path.join(__dirname, "..", "..", "deployments", "manifests");
+
+// Networks without a manifest of their own
+const MANIFEST_ALIASES = { hardhat: "localhost" };
+
+/**
+ * Load and validate the manifest of `network` (or the file in MANIFEST)
+ */
+function loadManifest(network, file = process.env.MANIFEST) {
+    file = file || path.join(MANIFEST_DIR, (MANIFEST_ALIASES[network] || network) + ".json");
+    if (!fs.existsSync(file)) {
+        throw new Error("No deployment manifest for " + network + " (looked for " + file + ")");
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+    const errors = validateManifest(manifest);
+    if (errors.length > 0) {
+        throw new Error("Invalid manifest " + file + ":\n  - " + errors.join("\n  - "));
+    }
+    return manifest;
+}
+
+/**
+ * Check a manifest against the rules the contracts enforce, so a deployment does not revert halfway
+ * @returns {string[]} One message per problem, empty when the manifest is valid
+ */
+function validateManifest(manifest) {
+    const errors = [];
+    const { asset = {}, vault = {}, strategies, roles = {}, config = {} } = manifest;
+
+    // Asset
+    if (asset.mock === true) {
+        if (asset.address !== undefined) errors.push("asset: set either address or mock, not both");
+    } else if (!ethers.isAddress(asset.address)) {
+        errors.push("asset: address must be a valid address (or set mock: true)");
+    }
+
+    // Vault
+    if (!isNonEmptyString(vault.name)) errors.push("vault.name is required");
+    if (!isNonEmptyString(vault.symbol)) errors.push("vault.symbol is required");
+    if (!isIntegerIn(vault.decimalsOffset, 0, MAX_DECIMALS_OFFSET)) {
+        errors.push("vault.decimalsOffset must be an integer from 0 to " + MAX_DECIMALS_OFFSET);
+    }
+    checkAmount(errors, "vault.seedAmount", vault.seedAmount);
+
+    // Strategies
+    if (!Array.isArray(strategies) || strategies.length === 0) {
+        errors.push("strategies must list at least one strategy");
+    } else {
+        const names = new Set();
+        const addresses = new Set();
+        let totalAllocation = 0;
+
+        strategies.forEach((strategy, i) => {
+            const label = "strategies[" + i + "]" + (strategy.name ? " (" + strategy.name + ")" : "");
+
+            if (!isNonEmptyString(strategy.name)) errors.push(label + ": name is required");
+            else if (names.has(strategy.name)) errors.push(label + ": duplicate name");
+            names.add(strategy.name);
+
+            if (!STRATEGY_TYPES.includes(strategy.type)) {
+                errors.push(label + ": type must be one of " + STRATEGY_TYPES.join(", "));
+            }
+            if (strategy.hasLockup !== undefined && typeof strategy.hasLockup !== "boolean") {
+                errors.push(label + ": hasLockup must be a boolean");
+            }
+
+            if (strategy.mock === true) {
+                if (strategy.type !== "erc4626") errors.push(label + ": only erc4626 strategies can be mocked");
+                if (strategy.address !== undefined) errors.push(label + ": set either address or mock, not both");
+                if (!isNonEmptyString(strategy.symbol)) errors.push(label + ": symbol is required for a mock");
+            } else if (!ethers.isAddress(strategy.address)) {
+                errors.push(label + ": address must be a valid address (or set mock: true)");
+            } else if (addresses.has(strategy.address.toLowerCase())) {
+                errors.push(label + ": duplicate address");
+            } else {
+                addresses.add(strategy.address.toLowerCase());
+            }
+
+            if (strategy.type === "custom" && !isNonEmptyString(strategy.adapter)) {
+                errors.push(label + ": custom strategies need an adapter (address or adapter contract name)");
+            }
+            if (strategy.type === "erc4626" && strategy.adapter !== undefined) {
+                errors.push(label + ": erc4626 strategies use the vault's adapters; use type custom for an adapter");
+            }
+
+            if (!isIntegerIn(strategy.allocationBps, 0, MAX_ALLOCATION_BPS)) {
+                errors.push(label + ": allocationBps must be an integer from 0 to " + MAX_ALLOCATION_BPS);
+            } else {
+                totalAllocation += strategy.allocationBps;
+            }
+        });
+
+        if (totalAllocation > BPS_DENOMINATOR) {
+            errors.push("strategies: total allocation " + totalAllocation + " exceeds " + BPS_DENOMINATOR + " bps");
+        }
+    }
+
+    // Roles
+    checkAccount(errors, "roles.guardian", roles.guardian);
+    checkAccount(errors, "roles.keeper", roles.keeper);
+    const timelock = roles.timelock || {};
+    if (!isIntegerIn(timelock.delay, MINIMUM_TIMELOCK_DELAY, Number.MAX_SAFE_INTEGER)) {
+        errors.push("roles.timelock.delay must be at least " + MINIMUM_TIMELOCK_DELAY + " seconds");
+    }
+    for (const list of ["proposers", "executors"]) {
+        if (!Array.isArray(timelock[list]) || timelock[list].length === 0) {
+            errors.push("roles.timelock." + list + " must list at least one account");
+        } else {
+            timelock[list].forEach((account, i) => checkAccount(errors, "roles.timelock." + list + "[" + i + "]", account));
+        }
+    }
+
+    // Post-deploy configuration
+    checkAmount(errors, "config.depositCap", config.depositCap);
+    checkAmount(errors, "config.accountDepositCap", config.accountDepositCap);
+    if (config.allowlist !== undefined) {
+        if (!Array.isArray(config.allowlist)) errors.push("config.allowlist must be a list of addresses");
+        else config.allowlist.forEach((account, i) => checkAccount(errors, "config.allowlist[" + i + "]", account));
+    }
+    checkIntegerIn(errors, "config.managementFeeBps", config.managementFeeBps, 0, MAX_MANAGEMENT_FEE_BPS);
+    checkIntegerIn(errors, "config.performanceFeeBps", config.performanceFeeBps, 0, MAX_PERFORMANCE_FEE_BPS);
+    checkAccount(errors, "config.feeRecipient", config.feeRecipient);
+    checkIntegerIn(errors, "config.profitUnlockPeriod", config.profitUnlockPeriod, 0, MAX_PROFIT_UNLOCK_PERIOD);
+    checkIntegerIn(errors, "config.minIdleBps", config.minIdleBps, 0, BPS_DENOMINATOR);
+
+    if (config.rebalanceLimits !== undefined) {
+        const limits = config.rebalanceLimits;
+        checkIntegerIn(errors, "config.rebalanceLimits.driftToleranceBps", limits.driftToleranceBps, 0, BPS_DENOMINATOR);
+        checkAmount(errors, "config.rebalanceLimits.minRebalanceAmount", limits.minRebalanceAmount);
+        checkAmount(errors, "config.rebalanceLimits.maxRebalanceAmount", limits.maxRebalanceAmount);
+    }
+
+    if (config.gateway !== undefined) {
+        if (!ethers.isAddress(config.gateway.assetPriceFeed)) {
+            errors.push("config.gateway.assetPriceFeed must be a valid address");
+        }
+        checkIntegerIn(errors, "config.gateway.maxPriceAge", config.gateway.maxPriceAge, 1, Number.MAX_SAFE_INTEGER);
+    }
+
+    return errors;
+}
+
+/**
+ * Resolve a manifest account: "deployer" or an address
+ */
+function resolveAccount(account, deployer) {
+    return account === "deployer" ? deployer : account;
+}
+
+function isNonEmptyString(value) {
+    return typeof value === "string" && value.length > 0;
+}
+
+function isIntegerIn(value, min, max) {
+    return Number.isInteger(value) && value >= min && value <= max;
+}
+
+function checkIntegerIn(errors, label, value, min, max) {
+    if (value !== undefined && !isIntegerIn(value, min, max)) {
+        errors.push(label + " must be an integer from " + min + " to " + max);
+    }
+}
+
+// Amounts are decimal strings in asset units, e.g. "1000.5"
+function checkAmount(errors, label, value) {
+    if (value !== undefined && !(typeof value === "string" && /^\d+(\.\d+)?$/.test(value))) {
+        errors.push(label + " must be a decimal string in asset units");
+    }
+}
+
+function checkAccount(errors, label, value) {
+    if (value !== undefined && value !== "deployer" && !ethers.isAddress(value)) {
+        errors.push(label + " must be an address or \"deployer\"");
+    }
+}
+
+module.exports = {
+    loadManifest,
+    validateManifest,
+    resolveAccount
+};
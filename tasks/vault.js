@@ -0,0 +1,527 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { openDeployment } = require("../scripts/lib/deployments");
+const { fetchLedgerEvents, buildLedger, valuePositions, toCsv } = require("../scripts/lib/ledger");
+
+// Operator tasks for a deployed MultiStrategyVault. Addresses default to the network's deployment
+// record (deployments/<network>.json). Every task returns its result, prints it (`--json` for
+// machine-readable output) and, with `--dry-run`, simulates instead of sending.
+// Calls needing a role the timelock holds are sent with `--via-timelock`: the first run schedules
+// the call, running the same command again once the delay has passed executes it
+
+const WITHDRAWAL_STATUS = ["Pending", "Claimable", "Completed", "Cancelled"];
+const IERC20_METADATA = "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata";
+const ZERO_HASH = "0x0000000000000000000000000000000000000000000000000000000000000000";
+
+/**
+ * Declare a vault task with the options every task shares
+ */
+function vaultTask(name, description) {
+    return task(name, description)
+        .addOptionalParam("vault", "Vault address (default: the deployment record)")
+        .addFlag("json", "Print the result as JSON");
+}
+
+/**
+ * Declare a vault task that sends a transaction
+ */
+function vaultTxTask(name, description) {
+    return vaultTask(name, description)
+        .addFlag("dryRun", "Simulate the call without sending it")
+        .addFlag("viaTimelock", "Schedule the call on the timelock, or execute it once ready")
+        .addOptionalParam("timelock", "Timelock address (default: the deployment record)")
+        .addOptionalParam("salt", "Timelock salt, to repeat a call executed before", ZERO_HASH);
+}
+
+// ============ Status ============
+
+vaultTask("vault:status", "Show vault metrics and each strategy's balance and allocation")
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        const vault = await getVault(hre, args);
+        const vaultAddress = await vault.getAddress();
+        const asset = await ethers.getContractAt(IERC20_METADATA, await vault.asset());
+        const decimals = Number(await asset.decimals());
+
+        const [totalAssets, totalShares, pricePerShare, queuedWithdrawals] = await vault.getVaultMetrics();
+        const lockedProfit = await vault.currentLockedProfit();
+        // Rebalance targets are taken from total assets including locked profit
+        const base = totalAssets + lockedProfit;
+
+        const strategies = [];
+        for (const [id, strategy] of (await vault.getStrategies()).entries()) {
+            const adapter = await ethers.getContractAt("IStrategyAdapter", strategy.adapter);
+            const balance = strategy.isActive
+                ? await adapter.balanceOf(strategy.strategyAddress, vaultAddress)
+                : 0n;
+
+            strategies.push({
+                id,
+                strategy: strategy.strategyAddress,
+                active: strategy.isActive,
+                hasLockup: strategy.hasLockup,
+                currentDebt: strategy.currentDebt,
+                balance,
+                pendingUnlock: (await vault.pendingUnlocks(id)).assets,
+                targetAllocationBps: Number(strategy.allocationBps),
+                currentAllocationBps: base > 0n ? Number((strategy.currentDebt * 10000n) / base) : 0
+            });
+        }
+
+        const result = {
+            vault: vaultAddress,
+            decimals,
+            totalAssets,
+            totalShares,
+            pricePerShare,
+            queuedWithdrawals,
+            lockedProfit,
+            idle: await asset.balanceOf(vaultAddress),
+            paused: await vault.paused(),
+            shutdown: await vault.isShutdown(),
+            strategies
+        };
+
+        if (args.json) return printJson(result);
+
+        const format = (amount) => ethers.formatUnits(amount, decimals);
+        console.log("Vault:", vaultAddress, result.paused ? "(paused)" : "", result.shutdown ? "(shut down)" : "");
+        console.log("Total assets:", format(totalAssets));
+        console.log("Total shares:", ethers.formatUnits(totalShares, decimals + Number(await vault.decimalsOffset())));
+        console.log("Price per share:", ethers.formatUnits(pricePerShare, 18));
+        console.log("Idle:", format(result.idle));
+        console.log("Queued withdrawals:", format(queuedWithdrawals));
+        console.log("Locked profit:", format(lockedProfit));
+        console.table(strategies.map((s) => ({
+            id: s.id,
+            strategy: s.strategy,
+            active: s.active,
+            debt: format(s.currentDebt),
+            balance: format(s.balance),
+            "pending unlock": format(s.pendingUnlock),
+            "current %": s.currentAllocationBps / 100,
+            "target %": s.targetAllocationBps / 100
+        })));
+        return result;
+    });
+
+// ============ Strategies ============
+
+vaultTxTask("vault:add-strategy", "Add a strategy (MANAGER_ROLE)")
+    .addParam("strategy", "Strategy address")
+    .addParam("allocation", "Allocation in basis points", undefined, types.int)
+    .addOptionalParam("adapter", "Custom adapter address (default: the vault's ERC-4626 adapters)")
+    .addFlag("lockup", "The strategy has a lockup period")
+    .setAction(async (args, hre) => {
+        const vault = await getVault(hre, args);
+        return args.adapter
+            ? send(hre, args, vault, "addStrategyWithAdapter", [args.strategy, args.adapter, args.allocation, args.lockup])
+            : send(hre, args, vault, "addStrategy", [args.strategy, args.allocation, true, args.lockup]);
+    });
+
+vaultTxTask("vault:update-strategy", "Change a strategy's allocation (MANAGER_ROLE, or GUARDIAN_ROLE to lower it)")
+    .addParam("id", "Strategy id", undefined, types.int)
+    .addParam("allocation", "New allocation in basis points", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const vault = await getVault(hre, args);
+        return send(hre, args, vault, "updateStrategyAllocation", [args.id, args.allocation]);
+    });
+
+vaultTxTask("vault:remove-strategy", "Drain and retire a strategy (MANAGER_ROLE or GUARDIAN_ROLE)")
+    .addParam("id", "Strategy id", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const vault = await getVault(hre, args);
+        return send(hre, args, vault, "removeStrategy", [args.id]);
+    });
+
+// ============ Rebalancing ============
+
+vaultTxTask("vault:rebalance", "Preview or run a rebalance (KEEPER_ROLE or MANAGER_ROLE)")
+    .addFlag("preview", "Only show the moves rebalance would make")
+    .setAction(async (args, hre) => {
+        const vault = await getVault(hre, args);
+        if (!args.preview) return send(hre, args, vault, "rebalance", []);
+
+        // previewRebalance lists every active strategy; those left as they are have no move
+        const moves = (await vault.previewRebalance())
+            .filter((move) => move.amount !== 0n)
+            .map((move) => ({
+                strategyId: Number(move.strategyId),
+                currentDebt: move.currentDebt,
+                targetDebt: move.targetDebt,
+                amount: move.amount
+            }));
+
+        if (args.json) return printJson(moves);
+
+        const asset = await hre.ethers.getContractAt(IERC20_METADATA, await vault.asset());
+        const decimals = await asset.decimals();
+        const format = (amount) => hre.ethers.formatUnits(amount, decimals);
+        if (moves.length === 0) console.log("Nothing to rebalance");
+        else console.table(moves.map((m) => ({
+            strategyId: m.strategyId,
+            action: m.amount > 0n ? "deposit" : "withdraw",
+            amount: format(m.amount < 0n ? -m.amount : m.amount),
+            currentDebt: format(m.currentDebt),
+            targetDebt: format(m.targetDebt)
+        })));
+        return moves;
+    });
+
+// ============ Withdrawal queue ============
+
+vaultTask("vault:withdrawals", "List queued withdrawal requests")
+    .addOptionalParam("status", "pending, claimable, open (both) or all", "open")
+    .addOptionalParam("fromId", "First request id to look at", 0, types.int)
+    .setAction(async (args, hre) => {
+        const vault = await getVault(hre, args);
+        const queue = await hre.ethers.getContractAt("WithdrawalQueue", await vault.withdrawalQueue());
+
+        const wanted = {
+            pending: ["Pending"],
+            claimable: ["Claimable"],
+            open: ["Pending", "Claimable"],
+            all: WITHDRAWAL_STATUS
+        }[args.status];
+        if (!wanted) {
+            throw new HardhatPluginError("vault", "Unknown status " + args.status + "; use pending, claimable, open or all");
+        }
+
+        const requests = [];
+        const count = Number(await queue.requestCount());
+        for (let id = args.fromId; id < count; id++) {
+            const request = await queue.getRequest(id);
+            const status = WITHDRAWAL_STATUS[Number(request.status)];
+            if (!wanted.includes(status)) continue;
+
+            requests.push({
+                id,
+                owner: request.owner,
+                receiver: request.receiver,
+                shares: request.shares,
+                assets: request.assets,
+                queuedAt: new Date(Number(request.timestamp) * 1000).toISOString(),
+                status
+            });
+        }
+
+        if (args.json) return printJson(requests);
+
+        if (requests.length === 0) console.log("No " + args.status + " withdrawal requests");
+        else console.table(requests);
+        return requests;
+    });
+
+vaultTxTask("vault:process-withdrawals", "Fulfil pending requests in queue order, freeing liquidity as needed")
+    .addOptionalParam("count", "Most requests to fulfil", 10, types.int)
+    .setAction(async (args, hre) => {
+        const vault = await getVault(hre, args);
+        return send(hre, args, vault, "processWithdrawals", [args.count]);
+    });
+
+vaultTxTask("vault:complete-withdrawal", "Complete a withdrawal whose ticket the signer holds or is approved for")
+    .addParam("id", "Request id", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const vault = await getVault(hre, args);
+        return send(hre, args, vault, "completeWithdrawal", [args.id]);
+    });
+
+// ============ Emergency ============
+
+vaultTxTask("vault:pause", "Pause deposits and rebalances (GUARDIAN_ROLE)")
+    .setAction(async (args, hre) => {
+        const vault = await getVault(hre, args);
+        return send(hre, args, vault, "pause", []);
+    });
+
+vaultTxTask("vault:unpause", "Unpause the vault (DEFAULT_ADMIN_ROLE)")
+    .setAction(async (args, hre) => {
+        const vault = await getVault(hre, args);
+        return send(hre, args, vault, "unpause", []);
+    });
+
+// ============ Roles ============
+
+vaultTxTask("vault:grant-manager", "Grant MANAGER_ROLE (DEFAULT_ADMIN_ROLE)")
+    .addParam("account", "Account to grant the role to")
+    .setAction(async (args, hre) => {
+        const vault = await getVault(hre, args);
+        return send(hre, args, vault, "grantRole", [await vault.MANAGER_ROLE(), args.account]);
+    });
+
+vaultTxTask("vault:revoke-manager", "Revoke MANAGER_ROLE (DEFAULT_ADMIN_ROLE)")
+    .addParam("account", "Account to revoke the role from")
+    .setAction(async (args, hre) => {
+        const vault = await getVault(hre, args);
+        return send(hre, args, vault, "revokeRole", [await vault.MANAGER_ROLE(), args.account]);
+    });
+
+// ============ Accounting ============
+
+vaultTask("vault:ledger", "Rebuild each account's shares, cost basis and realized/unrealized PnL from the vault's events")
+    .addOptionalParam("fromBlock", "First block of the report (default: the vault's deployment)", undefined, types.int)
+    .addOptionalParam("toBlock", "Last block of the report, where positions are valued (default: latest)", undefined, types.int)
+    .addOptionalParam("account", "Only this account")
+    .addFlag("entries", "Export the ledger entries of the range instead of positions")
+    .addFlag("csv", "Print the result as CSV")
+    .addOptionalParam("out", "Write the CSV (with --csv) or JSON to this file")
+    .addOptionalParam("blockRange", "Most blocks per eth_getLogs request", 2000, types.int)
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        const vault = await getVault(hre, args);
+        const vaultAddress = await vault.getAddress();
+        const asset = await ethers.getContractAt(IERC20_METADATA, await vault.asset());
+        const decimals = Number(await asset.decimals());
+        const shareDecimals = Number(await vault.decimals());
+
+        // Cost basis needs the whole history: events are always replayed from the deployment
+        const startBlock = await deploymentBlock(hre, vaultAddress);
+        const toBlock = args.toBlock !== undefined ? args.toBlock : await ethers.provider.getBlockNumber();
+        const fromBlock = args.fromBlock !== undefined ? args.fromBlock : startBlock;
+        if (fromBlock > toBlock) {
+            throw new HardhatPluginError("vault", "--from-block " + fromBlock + " is after --to-block " + toBlock);
+        }
+
+        const events = await fetchLedgerEvents(vault, { fromBlock: startBlock, toBlock, blockRange: args.blockRange });
+        const ledger = buildLedger(events, { fromBlock });
+        const selected = (row) => !args.account || row.account.toLowerCase() === args.account.toLowerCase();
+
+        const units = (amount) => ethers.formatUnits(amount, decimals);
+        const shareUnits = (amount) => ethers.formatUnits(amount, shareDecimals);
+        let rows, columns;
+
+        if (args.entries) {
+            const timestamps = new Map();
+            rows = [];
+            for (const entry of ledger.entries.filter(selected)) {
+                if (!timestamps.has(entry.block)) {
+                    timestamps.set(entry.block, (await ethers.provider.getBlock(entry.block)).timestamp);
+                }
+                rows.push({ ...entry, time: new Date(timestamps.get(entry.block) * 1000).toISOString() });
+            }
+            columns = {
+                block: (e) => e.block,
+                time: (e) => e.time,
+                tx: (e) => e.tx,
+                account: (e) => e.account,
+                type: (e) => e.type,
+                shares: (e) => shareUnits(e.shares),
+                assets: (e) => units(e.assets),
+                "cost basis": (e) => units(e.costBasis),
+                "realized pnl": (e) => units(e.realizedPnl),
+                "shares after": (e) => shareUnits(e.sharesAfter),
+                "cost basis after": (e) => units(e.costBasisAfter),
+                "queued after": (e) => units(e.queuedAfter)
+            };
+        } else {
+            rows = ledger.positions.filter(selected);
+            try {
+                await valuePositions(vault, rows, toBlock);
+            } catch (error) {
+                throw new HardhatPluginError(
+                    "vault",
+                    "Cannot value positions at block " + toBlock + " (past blocks need an archive node): "
+                        + (error.shortMessage || error.message)
+                );
+            }
+            for (const p of rows) {
+                // Assets paid per whole share
+                p.averageCost = p.shares > 0n ? (p.costBasis * 10n ** BigInt(shareDecimals)) / p.shares : 0n;
+            }
+            columns = {
+                account: (p) => p.account,
+                shares: (p) => shareUnits(p.shares),
+                "cost basis": (p) => units(p.costBasis),
+                "average cost": (p) => units(p.averageCost),
+                value: (p) => units(p.value),
+                "unrealized pnl": (p) => units(p.unrealizedPnl),
+                "realized pnl": (p) => units(p.realizedPnl),
+                "realized in range": (p) => units(p.realizedInRange),
+                deposited: (p) => units(p.deposited),
+                withdrawn: (p) => units(p.withdrawn),
+                queued: (p) => units(p.queued),
+                "opening shares": (p) => shareUnits(p.opening.shares),
+                "opening cost basis": (p) => units(p.opening.costBasis)
+            };
+        }
+
+        const result = {
+            vault: vaultAddress,
+            fromBlock,
+            toBlock,
+            decimals,
+            shareDecimals,
+            [args.entries ? "entries" : "positions"]: rows
+        };
+
+        if (args.csv || args.out) {
+            const text = args.csv ? toCsv(rows, columns) : toJson(result) + "\n";
+            if (!args.out) {
+                console.log(text.trimEnd());
+                return result;
+            }
+            fs.writeFileSync(args.out, text);
+            console.log("Wrote " + rows.length + (args.entries ? " entries" : " positions") + " to " + args.out);
+            return result;
+        }
+        if (args.json) return printJson(result);
+
+        console.log("Vault:", vaultAddress, "blocks", fromBlock, "to", toBlock);
+        if (rows.length === 0) console.log("Nothing in this range");
+        else console.table(rows.map((row) => Object.fromEntries(Object.entries(columns).map(([name, column]) => [name, column(row)]))));
+        return result;
+    });
+
+// ============ Helpers ============
+
+/**
+ * Address of `key` in the deployment record, or `override` when given
+ */
+function recordedAddress(hre, key, override) {
+    if (override) return override;
+
+    const entry = openDeployment(hre).record.contracts[key];
+    if (!entry) {
+        throw new HardhatPluginError("vault", "No " + key + " recorded for " + hre.network.name + "; pass --" + key);
+    }
+    return entry.address;
+}
+
+async function getVault(hre, args) {
+    return hre.ethers.getContractAt("MultiStrategyVault", recordedAddress(hre, "vault", args.vault));
+}
+
+/**
+ * Block the vault was deployed in, from the deployment record (0 for vaults deployed elsewhere)
+ */
+async function deploymentBlock(hre, vaultAddress) {
+    const entry = openDeployment(hre).record.contracts.vault;
+    if (!entry || entry.address !== vaultAddress || !entry.txHash) return 0;
+
+    const receipt = await hre.ethers.provider.getTransactionReceipt(entry.txHash);
+    return receipt ? receipt.blockNumber : 0;
+}
+
+/**
+ * Send `contract.method(params)`, directly or through the timelock, or simulate it with `--dry-run`
+ */
+async function send(hre, args, contract, method, params) {
+    const [signer] = await hre.ethers.getSigners();
+    const target = await contract.getAddress();
+    const data = contract.interface.encodeFunctionData(method, params);
+    const action = { action: method, target, args: params, from: signer.address };
+
+    let result;
+    if (args.viaTimelock) {
+        const timelock = await hre.ethers.getContractAt(
+            "VaultTimelock",
+            recordedAddress(hre, "timelock", args.timelock)
+        );
+        result = { ...action, ...(await sendThroughTimelock(hre, args, timelock, contract, target, data)) };
+    } else if (args.dryRun) {
+        const call = await simulate(hre, contract, { from: signer.address, to: target, data });
+        const returned = decodeResult(contract, method, call);
+        result = {
+            ...action,
+            dryRun: true,
+            ...(returned !== undefined && { returned }),
+            gasEstimate: await hre.ethers.provider.estimateGas({ from: signer.address, to: target, data })
+        };
+    } else {
+        await simulate(hre, contract, { from: signer.address, to: target, data });
+        result = { ...action, ...(await sendTransaction(signer, { to: target, data })) };
+    }
+
+    if (args.json) return printJson(result);
+
+    for (const [key, value] of Object.entries(result)) {
+        console.log(key + ":", Array.isArray(value) ? value.map(String).join(", ") : String(value));
+    }
+    return result;
+}
+
+/**
+ * Schedule a call on the timelock, or execute it if its delay has passed
+ */
+async function sendThroughTimelock(hre, args, timelock, contract, target, data) {
+    const [signer] = await hre.ethers.getSigners();
+    const timelockAddress = await timelock.getAddress();
+    const operation = [target, 0, data, ZERO_HASH, args.salt];
+    const id = await timelock.hashOperation(...operation);
+
+    if (await timelock.isOperationDone(id)) {
+        throw new HardhatPluginError("vault", "Operation " + id + " was already executed; pass a new --salt to repeat it");
+    }
+
+    if (await timelock.isOperationReady(id)) {
+        const execute = timelock.interface.encodeFunctionData("execute", operation);
+        const tx = { from: signer.address, to: timelockAddress, data: execute };
+        await simulate(hre, contract, tx);
+        if (args.dryRun) return { timelock: timelockAddress, operation: id, step: "execute", dryRun: true };
+        return { timelock: timelockAddress, operation: id, step: "execute", ...(await sendTransaction(signer, tx)) };
+    }
+
+    if (await timelock.isOperationPending(id)) {
+        const readyAt = new Date(Number(await timelock.getTimestamp(id)) * 1000).toISOString();
+        return { timelock: timelockAddress, operation: id, step: "waiting", readyAt };
+    }
+
+    // Check the call itself would succeed from the timelock today, then schedule it
+    await simulate(hre, contract, { from: timelockAddress, to: target, data });
+    const delay = await timelock.getMinDelay();
+    const schedule = timelock.interface.encodeFunctionData("schedule", [...operation, delay]);
+    const tx = { from: signer.address, to: timelockAddress, data: schedule };
+    await simulate(hre, timelock, tx);
+
+    const block = await hre.ethers.provider.getBlock("latest");
+    const readyAt = new Date((block.timestamp + Number(delay)) * 1000).toISOString();
+    if (args.dryRun) return { timelock: timelockAddress, operation: id, step: "schedule", readyAt, dryRun: true };
+    return { timelock: timelockAddress, operation: id, step: "schedule", readyAt, ...(await sendTransaction(signer, tx)) };
+}
+
+async function sendTransaction(signer, tx) {
+    const response = await signer.sendTransaction(tx);
+    const receipt = await response.wait();
+    return { txHash: receipt.hash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed };
+}
+
+/**
+ * eth_call `tx`, turning a revert into an error naming the contract's custom error
+ */
+async function simulate(hre, contract, tx) {
+    try {
+        return await hre.ethers.provider.call(tx);
+    } catch (error) {
+        const data = revertData(error);
+        const parsed = data && contract.interface.parseError(data);
+        if (parsed) {
+            const reason = parsed.name + "(" + parsed.args.join(", ") + ")";
+            throw new HardhatPluginError("vault", "Simulation reverted with " + reason);
+        }
+        throw new HardhatPluginError("vault", "Simulation reverted: " + (error.shortMessage || error.message));
+    }
+}
+
+// Revert data sits at different depths depending on the provider (in-process or JSON-RPC)
+function revertData(error) {
+    for (let e = error; e; e = e.error || e.info) {
+        if (typeof e.data === "string" && e.data.startsWith("0x")) return e.data;
+        if (e.data && typeof e.data.data === "string") return e.data.data;
+    }
+}
+
+function decodeResult(contract, method, returned) {
+    const values = contract.interface.decodeFunctionResult(method, returned);
+    if (values.length === 0) return undefined;
+    return values.length === 1 ? values[0] : values.toArray();
+}
+
+function toJson(result) {
+    return JSON.stringify(result, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2);
+}
+
+function printJson(result) {
+    console.log(toJson(result));
+    return result;
+}
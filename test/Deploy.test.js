@@ -0,0 +1,129 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadManifest, validateManifest } = require("../scripts/lib/manifest");
+const { openDeployment } = require("../scripts/lib/deployments");
+const { deploy } = require("../scripts/deploy");
+
+const { ethers } = hre;
+
+describe("Deployment pipeline", function () {
+    let manifest, log;
+
+    // Keep the pipeline's progress output out of the test report
+    const quietly = async (fn) => {
+        console.log = () => {};
+        try {
+            return await fn();
+        } finally {
+            console.log = log;
+        }
+    };
+
+    before(function () {
+        log = console.log;
+    });
+
+    beforeEach(function () {
+        manifest = loadManifest("localhost");
+    });
+
+    describe("Manifest validation", function () {
+        it("Should accept the network manifests", async function () {
+            for (const network of ["localhost", "hyperevm_testnet", "sepolia"]) {
+                expect(validateManifest(loadManifest(network))).to.deep.equal([]);
+            }
+        });
+
+        it("Should reject manifests breaking the vault's allocation rules", async function () {
+            manifest.strategies[0].allocationBps = 7000;
+            expect(validateManifest(manifest).join()).to.include("allocationBps must be an integer from 0 to 6000");
+
+            manifest.strategies[0].allocationBps = 6000;
+            manifest.strategies[1].allocationBps = 6000;
+            expect(validateManifest(manifest).join()).to.include("total allocation 12000 exceeds 10000 bps");
+        });
+
+        it("Should reject malformed strategies, roles and amounts", async function () {
+            manifest.strategies.push({ ...manifest.strategies[0] });
+            manifest.strategies.push({ name: "HLP", type: "custom", address: "0x0000000000000000000000000000000000000001", allocationBps: 0 });
+            manifest.roles.timelock.delay = 3600;
+            manifest.config.depositCap = 1000;
+
+            const errors = validateManifest(manifest).join("\n");
+            expect(errors).to.include("duplicate name");
+            expect(errors).to.include("custom strategies need an adapter");
+            expect(errors).to.include("roles.timelock.delay must be at least 86400 seconds");
+            expect(errors).to.include("config.depositCap must be a decimal string in asset units");
+        });
+    });
+
+    describe("Pipeline", function () {
+        it("Should deploy the manifest and hand governance to the timelock", async function () {
+            const deployment = openDeployment(hre);
+            const { contracts, warnings } = await quietly(() => deploy(manifest, deployment));
+
+            expect(warnings).to.deep.equal([]);
+
+            const vault = await ethers.getContractAt("MultiStrategyVault", contracts.vault);
+            const registry = await ethers.getContractAt("VaultRegistry", contracts.registry);
+            const strategies = await vault.getStrategies();
+
+            expect(strategies.length).to.equal(2);
+            expect(strategies[0].strategyAddress).to.equal(contracts["strategy:Strategy A - Yield Optimizer"]);
+            expect(strategies[1].allocationBps).to.equal(4000);
+            expect(strategies[1].hasLockup).to.be.true;
+            expect(await registry.isVault(contracts.vault)).to.be.true;
+
+            const [deployer] = await ethers.getSigners();
+            for (const key of ["vault", "registry", "factory", "gateway"]) {
+                const governed = await ethers.getContractAt("VaultRegistry", contracts[key]);
+                expect(await governed.hasRole(ethers.ZeroHash, contracts.timelock)).to.be.true;
+                expect(await governed.hasRole(ethers.ZeroHash, deployer.address)).to.be.false;
+            }
+            expect(await vault.hasRole(await vault.KEEPER_ROLE(), deployer.address)).to.be.true;
+        });
+
+        it("Should send nothing when run again", async function () {
+            const deployment = openDeployment(hre);
+            const first = await quietly(() => deploy(manifest, deployment));
+            const blockNumber = await ethers.provider.getBlockNumber();
+
+            deployment.created.length = 0;
+            const second = await quietly(() => deploy(manifest, deployment));
+
+            expect(second.contracts).to.deep.equal(first.contracts);
+            expect(deployment.created).to.deep.equal([]);
+            expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+        });
+
+        it("Should resume a failed run from the last recorded contract", async function () {
+            const deployment = openDeployment(hre);
+            const deployContract = deployment.deployContract;
+            deployment.deployContract = async (key, ...args) => {
+                if (key === "timelock") throw new Error("RPC timeout");
+                return deployContract(key, ...args);
+            };
+
+            await expect(quietly(() => deploy(manifest, deployment))).to.be.rejectedWith("RPC timeout");
+            expect(deployment.record.contracts.vault).to.not.be.undefined;
+
+            deployment.deployContract = deployContract;
+            deployment.created.length = 0;
+            await quietly(() => deploy(manifest, deployment));
+
+            expect(deployment.created).to.deep.equal(["timelock", "router", "gateway"]);
+        });
+
+        it("Should report configuration drift once governance is with the timelock", async function () {
+            const deployment = openDeployment(hre);
+            await quietly(() => deploy(manifest, deployment));
+
+            manifest.config.depositCap = "500000";
+            const { warnings } = await quietly(() => deploy(manifest, deployment));
+
+            expect(warnings).to.deep.equal([
+                "Setting deposit limits differs from the manifest; propose it through the timelock"
+            ]);
+        });
+    });
+});
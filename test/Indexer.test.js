@@ -0,0 +1,205 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadManifest } = require("../scripts/lib/manifest");
+const { openDeployment } = require("../scripts/lib/deployments");
+const { deploy } = require("../scripts/deploy");
+const { createLogger } = require("../scripts/lib/keeper");
+const { DEFAULT_OPTIONS, openStore, createIndexer } = require("../scripts/lib/indexer");
+const { trailingApy, strategyContribution, queueLatency } = require("../scripts/lib/analytics");
+const { createApiServer } = require("../scripts/lib/api");
+
+const { ethers } = hre;
+
+describe("Indexer", function () {
+    const DAY = 24 * 60 * 60;
+    const options = { ...DEFAULT_OPTIONS, confirmations: 0 };
+    const logger = createLogger({ write: () => {} });
+
+    let contracts, vault, usdc, strategyA, strategyB, user1, fromBlock, store, indexer;
+
+    const parseUSDC = (amount) => ethers.parseUnits(amount.toString(), 6);
+
+    // Ten days of yield: Strategy A earns 0.1% a day on 6,000, Strategy B 0.05% on 4,000
+    const accrue = async (days) => {
+        for (let i = 0; i < days; i++) {
+            await time.increase(DAY);
+            await strategyA.simulateYield(10);
+            await strategyB.simulateYield(5);
+            await vault.processReport(0);
+            await vault.processReport(1);
+        }
+    };
+
+    beforeEach(async function () {
+        [, user1] = await ethers.getSigners();
+
+        const deployment = openDeployment(hre);
+        const log = console.log;
+        console.log = () => {};
+        try {
+            ({ contracts } = await deploy(loadManifest("localhost"), deployment));
+        } finally {
+            console.log = log;
+        }
+
+        vault = await ethers.getContractAt("MultiStrategyVault", contracts.vault);
+        usdc = await ethers.getContractAt("MockUSDC", contracts.asset);
+        strategyA = await ethers.getContractAt("MockERC4626Strategy", contracts["strategy:Strategy A - Yield Optimizer"]);
+        strategyB = await ethers.getContractAt("MockLockedStrategy", (await vault.strategies(1)).strategyAddress);
+
+        await usdc.mint(user1.address, parseUSDC(10000));
+        await usdc.connect(user1).approve(contracts.vault, parseUSDC(10000));
+        await vault.connect(user1).deposit(parseUSDC(10000), user1.address);
+        await vault.rebalance();
+
+        // Earlier tests left other vaults on the chain: start at this one's deployment
+        fromBlock = (await ethers.provider.getTransactionReceipt(deployment.record.contracts.vault.txHash)).blockNumber;
+        store = openStore("hardhat", contracts.vault, { persist: false });
+        indexer = createIndexer({ vault, store, options: { ...options, fromBlock }, logger });
+    });
+
+    it("Should backfill the vault's events and resume from the stored index", async function () {
+        const shares = await vault.balanceOf(user1.address);
+        await vault.connect(user1).requestRedeem(shares / 10n, user1.address, user1.address);
+        await vault.processWithdrawals(10);
+        await vault.connect(user1).completeWithdrawal(0);
+        await accrue(1);
+
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "indexer-")), "index.json");
+        const first = openStore("hardhat", contracts.vault, { file });
+        await createIndexer({ vault, store: first, options: { ...options, fromBlock }, logger }).sync();
+
+        const names = new Set(first.record.events.map((e) => e.name));
+        for (const name of ["YieldAccrued", "Rebalanced", "StrategyReported", "WithdrawalQueued", "WithdrawalClaimable", "WithdrawalCompleted"]) {
+            expect(names).to.include(name);
+        }
+        // Share transfers and the ticket's mint are left out; its burn is kept
+        const transfers = first.record.events.filter((e) => e.name === "Transfer");
+        expect(transfers.map((e) => [e.args.tokenId, e.args.to])).to.deep.equal([["0", ethers.ZeroAddress]]);
+        expect(first.record.snapshots.length).to.be.gte(2);
+
+        // A restart picks up where the file ends
+        await vault.processReport(0);
+        const reopened = openStore("hardhat", contracts.vault, { file });
+        const again = await createIndexer({ vault, store: reopened, options, logger }).sync();
+
+        const seen = new Set(reopened.record.events.map((e) => e.block + ":" + e.logIndex));
+        expect(again.events).to.equal(2); // StrategyReported and YieldAccrued
+        expect(seen.size).to.equal(first.record.events.length + 2);
+        expect(() => openStore("hardhat", contracts.asset, { file })).to.throw("indexes vault");
+    });
+
+    it("Should not duplicate events when a range is retried after a failure", async function () {
+        await accrue(2);
+
+        // The node drops the connection halfway through the range's block lookups
+        const provider = vault.runner.provider;
+        const getBlock = provider.getBlock;
+        let calls = 0;
+        provider.getBlock = async (...args) => {
+            if (++calls === 3) throw new Error("connection reset");
+            return getBlock.apply(provider, args);
+        };
+        try {
+            await expect(indexer.sync()).to.be.rejectedWith("connection reset");
+        } finally {
+            provider.getBlock = getBlock;
+        }
+        expect(store.record.events).to.have.length(0);
+        expect(store.record.lastBlock).to.equal(fromBlock - 1);
+
+        await indexer.sync();
+        const seen = new Set(store.record.events.map((e) => e.tx + ":" + e.logIndex));
+        expect(seen.size).to.equal(store.record.events.length);
+        expect(store.record.events.filter((e) => e.name === "StrategyReported")).to.have.length(4);
+    });
+
+    it("Should compute trailing APY and each strategy's share of the yield", async function () {
+        await indexer.sync();
+        await accrue(10);
+        await indexer.sync();
+
+        const week = trailingApy(store.record, 7);
+        expect(week.partial).to.be.false;
+        expect(week.to - week.from).to.be.closeTo(7 * DAY, 60); // Snapshots are at report blocks
+        expect(week.apy).to.be.gt(week.apr);
+        // Strategies earn 0.08% a day on the whole vault; profit unlocking spreads it out in the share price
+        expect(week.apr).to.be.gt(0.1).and.lt(0.08 * 3.65);
+        expect(trailingApy(store.record, 30).partial).to.be.true;
+
+        // An empty vault prices its shares at zero: the window starts at the first priced snapshot
+        const empty = { ...store.record.snapshots[0], timestamp: store.record.snapshots[0].timestamp - DAY, pricePerShare: "0" };
+        const withEmpty = trailingApy({ snapshots: [empty, ...store.record.snapshots] }, 30);
+        expect(withEmpty.from).to.equal(store.record.snapshots[0].timestamp);
+        expect(trailingApy({ snapshots: [empty, { ...empty, timestamp: empty.timestamp + DAY }] }, 30)).to.be.null;
+
+        const [a, b] = strategyContribution(store.record);
+        expect(a.reports).to.equal(10);
+        expect(a.share).to.be.closeTo(0.75, 0.01);
+        expect(b.share).to.be.closeTo(0.25, 0.01);
+        expect(BigInt(a.gain)).to.be.gt(parseUSDC(60));
+    });
+
+    it("Should measure how long queued withdrawals waited", async function () {
+        const shares = await vault.balanceOf(user1.address);
+        await vault.connect(user1).requestRedeem(shares / 10n, user1.address, user1.address);
+        await vault.connect(user1).requestRedeem(shares / 10n, user1.address, user1.address);
+
+        await time.increase(60 * 60);
+        await vault.processWithdrawals(10);
+        await time.increase(2 * 60 * 60);
+        await vault.connect(user1).completeWithdrawal(0);
+        await vault.connect(user1).requestRedeem(shares / 10n, user1.address, user1.address);
+        await vault.connect(user1).cancelWithdrawal(2);
+        await indexer.sync();
+
+        const latency = queueLatency(store.record);
+        expect(latency).to.include({ requests: 3, pending: 0, claimable: 1, completed: 1, cancelled: 1 });
+        expect(latency.queuedToClaimable.median).to.be.closeTo(60 * 60, 5);
+        expect(latency.claimableToCompleted.max).to.be.closeTo(2 * 60 * 60, 5);
+
+        // An ERC-7540 claim emits no WithdrawalCompleted: the ticket burn completes the request
+        await time.increase(60 * 60);
+        const claimable = await vault.claimableRedeemRequest(1, user1.address);
+        await vault.connect(user1).redeem(claimable, user1.address, user1.address);
+        await indexer.sync();
+
+        expect(queueLatency(store.record)).to.include({ claimable: 0, completed: 2, cancelled: 1 });
+        expect(queueLatency(store.record).claimableToCompleted.max).to.be.closeTo(3 * 60 * 60, 5);
+    });
+
+    it("Should serve the figures over HTTP", async function () {
+        await accrue(2);
+        await indexer.sync();
+
+        const server = createApiServer(store);
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        const get = async (route) => {
+            const response = await fetch("http://127.0.0.1:" + server.address().port + route);
+            return { status: response.status, body: await response.json() };
+        };
+
+        try {
+            const status = await get("/status");
+            expect(status.body.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+            expect(status.body.events.StrategyReported).to.equal(4);
+            expect(status.body.latest.pricePerShare).to.equal((await vault.getVaultMetrics()).pricePerShare.toString());
+
+            const apy = await get("/apy?days=1");
+            expect(apy.body["1d"].apy).to.be.gt(0);
+
+            const events = await get("/events?name=Rebalanced&limit=5");
+            expect(events.body.every((e) => e.name === "Rebalanced")).to.be.true;
+
+            expect((await get("/strategies?days=1")).body[0].reports).to.equal(1);
+            expect((await get("/apy?days=week")).status).to.equal(400);
+            expect((await get("/balances")).status).to.equal(404);
+        } finally {
+            server.close();
+        }
+    });
+});
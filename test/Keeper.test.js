@@ -0,0 +1,237 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadManifest } = require("../scripts/lib/manifest");
+const { openDeployment } = require("../scripts/lib/deployments");
+const { deploy } = require("../scripts/deploy");
+const { DEFAULT_POLICY, createLogger, createSender, createKeeper, planActions } = require("../scripts/lib/keeper");
+
+const { ethers } = hre;
+
+describe("Keeper", function () {
+    const parseUSDC = (amount) => ethers.parseUnits(amount.toString(), 6);
+    const policy = { ...DEFAULT_POLICY, retryDelay: 0 };
+
+    describe("Policy", function () {
+        // Vault of 10,000 with two strategies at 60/40, fully deployed and reported an hour ago
+        const snapshot = (overrides = {}) => ({
+            timestamp: 100000,
+            totalAssets: parseUSDC(10000),
+            lockedProfit: 0n,
+            idle: 0n,
+            totalQueuedWithdrawals: 0n,
+            pendingDemand: 0n,
+            paused: false,
+            shutdown: false,
+            lastRebalance: 0,
+            moves: [],
+            strategies: [0, 1].map((id) => ({
+                id,
+                active: true,
+                currentDebt: parseUSDC(id === 0 ? 6000 : 4000),
+                balance: parseUSDC(id === 0 ? 6000 : 4000),
+                lastReport: 96400,
+                pendingUnlock: { assets: 0n, unlockTime: 0 }
+            })),
+            ...overrides
+        });
+
+        it("Should rebalance only when drift passes the threshold and the interval has elapsed", async function () {
+            const small = snapshot({ moves: [{ strategyId: 0, amount: parseUSDC(100) }] }); // 1%
+            const large = snapshot({ moves: [{ strategyId: 0, amount: parseUSDC(500) }] }); // 5%
+
+            expect(planActions(small, policy)).to.deep.equal([]);
+            expect(planActions(large, policy)).to.deep.equal([{ type: "rebalance", reason: "drift", driftBps: 500n }]);
+            expect(planActions({ ...large, lastRebalance: 99000 }, policy)).to.deep.equal([]);
+            expect(planActions({ ...large, paused: true }, policy)).to.deep.equal([]);
+        });
+
+        it("Should service queued demand unless it is waiting on an unlock", async function () {
+            const queued = snapshot({ pendingDemand: parseUSDC(1000), totalQueuedWithdrawals: parseUSDC(1000) });
+            expect(planActions(queued, policy).map((a) => a.type)).to.deep.equal(["processWithdrawals"]);
+
+            const unlocking = snapshot({ pendingDemand: parseUSDC(1000), totalQueuedWithdrawals: parseUSDC(1000) });
+            unlocking.strategies[1].pendingUnlock = { assets: parseUSDC(1000), unlockTime: 150000 };
+            expect(planActions(unlocking, policy)).to.deep.equal([]);
+
+            unlocking.timestamp = 150000;
+            expect(planActions(unlocking, policy).map((a) => a.type)).to.deep.equal(["processWithdrawals"]);
+        });
+
+        it("Should report strategies whose balance moved or whose report is stale", async function () {
+            const state = snapshot();
+            state.strategies[0].balance = parseUSDC(6100);
+            state.strategies[1].lastReport = 0;
+
+            expect(planActions(state, policy)).to.deep.equal([
+                { type: "processReport", strategyId: 0, reason: "balance-moved" },
+                { type: "processReport", strategyId: 1, reason: "report-stale" }
+            ]);
+        });
+
+        it("Should claim matured unlocks when nothing else will", async function () {
+            const state = snapshot();
+            state.strategies[1].pendingUnlock = { assets: parseUSDC(1000), unlockTime: 100000 };
+
+            expect(planActions(state, policy)).to.deep.equal([
+                { type: "claimUnlocks", reason: "unlock-matured", strategyIds: [1] }
+            ]);
+        });
+    });
+
+    describe("Against a vault", function () {
+        let contracts, vault, usdc, strategyA, deployer, user1, logs, logger;
+
+        const events = (name) => logs.filter((entry) => entry.event === name);
+
+        beforeEach(async function () {
+            [deployer, user1] = await ethers.getSigners();
+
+            const log = console.log;
+            console.log = () => {};
+            try {
+                ({ contracts } = await deploy(loadManifest("localhost"), openDeployment(hre)));
+            } finally {
+                console.log = log;
+            }
+
+            vault = await ethers.getContractAt("MultiStrategyVault", contracts.vault, deployer);
+            usdc = await ethers.getContractAt("MockUSDC", contracts.asset);
+            strategyA = await ethers.getContractAt("MockERC4626Strategy", contracts["strategy:Strategy A - Yield Optimizer"]);
+
+            logs = [];
+            logger = createLogger({ level: "debug", write: (line) => logs.push(JSON.parse(line)) });
+
+            await usdc.mint(user1.address, parseUSDC(10000));
+            await usdc.connect(user1).approve(contracts.vault, parseUSDC(10000));
+            await vault.connect(user1).deposit(parseUSDC(10000), user1.address);
+        });
+
+        it("Should rebalance new deposits and service queued withdrawals", async function () {
+            const keeper = createKeeper({ vault, policy, logger });
+
+            expect((await keeper.tick()).map((a) => a.type)).to.deep.equal(["rebalance"]);
+            expect(await vault.totalDebt()).to.be.gt(parseUSDC(9900));
+
+            const shares = await vault.balanceOf(user1.address);
+            await vault.connect(user1).requestRedeem(shares / 10n, user1.address, user1.address);
+
+            expect((await keeper.tick()).map((a) => a.type)).to.deep.equal(["processWithdrawals"]);
+            expect(await vault.claimableRedeemRequest(0, user1.address)).to.equal(shares / 10n);
+            expect(events("vault-event").map((e) => e.name)).to.include("WithdrawalQueued");
+        });
+
+        it("Should wait for lockup unlocks and pay queued requests once they mature", async function () {
+            const keeper = createKeeper({ vault, policy, logger });
+            await keeper.tick();
+
+            // More than Strategy A and idle hold: the rest has to come out of the lockup strategy
+            const shares = await vault.balanceOf(user1.address);
+            await vault.connect(user1).requestRedeem((shares * 9n) / 10n, user1.address, user1.address);
+
+            expect((await keeper.tick()).map((a) => a.type)).to.deep.equal(["processWithdrawals"]);
+            expect((await vault.pendingUnlocks(1)).assets).to.be.gt(0n);
+            expect(await vault.pendingRedeemRequest(0, user1.address)).to.be.gt(0n);
+
+            expect(await keeper.tick()).to.deep.equal([]);
+            expect(events("waiting-for-unlock")).to.not.be.empty;
+
+            // A week on the reports are stale as well; the keeper reports before paying out
+            await time.increase(7 * 24 * 60 * 60);
+            expect((await keeper.tick()).map((a) => a.type)).to.include.ordered.members(["processReport", "processWithdrawals"]);
+            expect(await vault.claimableRedeemRequest(0, user1.address)).to.equal((shares * 9n) / 10n);
+        });
+
+        it("Should report a strategy whose balance moved", async function () {
+            const keeper = createKeeper({ vault, policy, logger });
+            await keeper.tick();
+
+            await strategyA.simulateYield(100); // 1%
+            const actions = await keeper.tick();
+
+            expect(actions).to.deep.include({ type: "processReport", strategyId: 0, reason: "balance-moved" });
+            expect((await vault.strategies(0)).currentDebt).to.be.gt(parseUSDC(6000));
+        });
+
+        it("Should find the last rebalance on restart across several log ranges", async function () {
+            await createKeeper({ vault, policy, logger }).tick();
+            await hre.network.provider.send("hardhat_mine", ["0x10"]);
+
+            // A new deposit drifts the vault, but the rebalance interval has not elapsed
+            await usdc.mint(user1.address, parseUSDC(5000));
+            await usdc.connect(user1).approve(contracts.vault, parseUSDC(5000));
+            await vault.connect(user1).deposit(parseUSDC(5000), user1.address);
+
+            const restarted = createKeeper({ vault, policy: { ...policy, blockRange: 4 }, logger });
+            expect(await restarted.tick()).to.deep.equal([]);
+        });
+
+        it("Should send nothing above the gas price ceiling", async function () {
+            const keeper = createKeeper({ vault, policy: { ...policy, maxGasPriceGwei: 0.000001 }, logger });
+
+            expect(await keeper.tick()).to.deep.equal([]);
+            expect(await vault.totalDebt()).to.equal(0n);
+            expect(events("gas-price-above-ceiling")[0].action).to.equal("rebalance");
+        });
+
+        it("Should retry a failed send and resync its nonce after outside transactions", async function () {
+            let failures = 1;
+            const flaky = {
+                provider: deployer.provider,
+                getAddress: () => deployer.getAddress(),
+                sendTransaction: async (tx) => {
+                    if (failures-- > 0) throw new Error("socket hang up");
+                    return deployer.sendTransaction(tx);
+                }
+            };
+            const sender = createSender(flaky, policy, logger);
+            const keeper = createKeeper({ vault, policy, logger, sender });
+
+            expect((await keeper.tick()).map((a) => a.type)).to.deep.equal(["rebalance"]);
+            expect(events("tx-retry")).to.have.lengthOf(1);
+
+            // The keeper account sends a transaction of its own: the cached nonce is now stale
+            await usdc.connect(deployer).transfer(user1.address, 1);
+            await vault.connect(user1).requestRedeem(await vault.balanceOf(user1.address) / 10n, user1.address, user1.address);
+
+            expect((await keeper.tick()).map((a) => a.type)).to.deep.equal(["processWithdrawals"]);
+            expect(events("nonce-resynced")).to.have.lengthOf(1);
+        });
+
+        it("Should replace a stuck transaction with fees bumped from it, capped at the ceiling", async function () {
+            const feeData = await ethers.provider.getFeeData();
+            const sentFees = [];
+            const stuck = {
+                provider: deployer.provider,
+                getAddress: () => deployer.getAddress(),
+                sendTransaction: async (tx) => {
+                    sentFees.push({ maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas });
+                    if (sentFees.length > 2) return deployer.sendTransaction(tx);
+
+                    // Never mined: the wait times out
+                    return {
+                        hash: ethers.id("stuck-" + sentFees.length),
+                        wait: async () => {
+                            throw Object.assign(new Error("timeout"), { code: "TIMEOUT" });
+                        }
+                    };
+                }
+            };
+
+            // A 30% bump fits under the ceiling once, then is capped at it
+            const ceiling = (feeData.maxFeePerGas * 150n) / 100n;
+            const stuckPolicy = { ...policy, feeBumpPercent: 30, maxGasPriceGwei: Number(ceiling) / 1e9 };
+            const sender = createSender(stuck, stuckPolicy, logger);
+            const keeper = createKeeper({ vault, policy: stuckPolicy, logger, sender });
+
+            expect((await keeper.tick()).map((a) => a.type)).to.deep.equal(["rebalance"]);
+            expect(events("tx-timeout")).to.have.lengthOf(2);
+
+            const [first, second, third] = sentFees;
+            expect(second.maxFeePerGas).to.be.gte((first.maxFeePerGas * 130n) / 100n);
+            expect(second.maxPriorityFeePerGas).to.be.gte((first.maxPriorityFeePerGas * 130n) / 100n);
+            expect(third.maxFeePerGas).to.equal(ceiling);
+            expect(third.maxFeePerGas * 100n).to.be.gte(second.maxFeePerGas * 110n);
+        });
+    });
+});
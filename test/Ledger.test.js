@@ -0,0 +1,132 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { loadManifest } = require("../scripts/lib/manifest");
+const { openDeployment } = require("../scripts/lib/deployments");
+const { deploy } = require("../scripts/deploy");
+
+const { ethers } = hre;
+
+describe("Depositor ledger", function () {
+    let contracts, vault, usdc, user1, user2, log;
+
+    const parseUSDC = (amount) => ethers.parseUnits(amount.toString(), 6);
+
+    // Keep the task's output out of the test report
+    const quietly = async (fn) => {
+        console.log = () => {};
+        console.table = () => {};
+        try {
+            return await fn();
+        } finally {
+            console.log = log.log;
+            console.table = log.table;
+        }
+    };
+    const run = (args = {}) => quietly(() => hre.run("vault:ledger", { vault: contracts.vault, json: true, ...args }));
+    const positionOf = (result, account) => result.positions.find((p) => p.account === account.address);
+
+    before(function () {
+        log = { log: console.log, table: console.table };
+    });
+
+    beforeEach(async function () {
+        [, user1, user2] = await ethers.getSigners();
+
+        ({ contracts } = await quietly(() => deploy(loadManifest("localhost"), openDeployment(hre))));
+        vault = await ethers.getContractAt("MultiStrategyVault", contracts.vault);
+        usdc = await ethers.getContractAt("MockUSDC", contracts.asset);
+
+        for (const user of [user1, user2]) {
+            await usdc.mint(user.address, parseUSDC(10000));
+            await usdc.connect(user).approve(contracts.vault, parseUSDC(10000));
+        }
+        await vault.connect(user1).deposit(parseUSDC(10000), user1.address);
+    });
+
+    it("Should track cost basis and realized and unrealized PnL", async function () {
+        // Idle assets count in totalAssets: 1,000 sent to the vault lifts the share price 10%
+        await usdc.mint(contracts.vault, parseUSDC(1000));
+        await vault.connect(user2).deposit(parseUSDC(5500), user2.address);
+
+        const shares = await vault.balanceOf(user1.address);
+        await vault.connect(user1).redeem(shares / 2n, user1.address, user1.address);
+
+        const result = await run();
+        const first = positionOf(result, user1);
+        expect(first.shares).to.equal(shares / 2n);
+        expect(first.costBasis).to.equal(parseUSDC(5000));
+        expect(first.averageCost).to.equal(parseUSDC(1)); // Per whole share
+        expect(first.realizedPnl).to.be.closeTo(parseUSDC(500), parseUSDC(1));
+        expect(first.unrealizedPnl).to.be.closeTo(parseUSDC(500), parseUSDC(1));
+        expect(first.withdrawn).to.be.closeTo(parseUSDC(5500), parseUSDC(1));
+
+        const second = positionOf(result, user2);
+        expect(second.costBasis).to.equal(parseUSDC(5500));
+        expect(second.unrealizedPnl).to.be.closeTo(0n, parseUSDC(1));
+    });
+
+    it("Should carry cost basis with transfers and realize queued withdrawals when requested", async function () {
+        await vault.rebalance();
+        const shares = await vault.balanceOf(user1.address);
+        await vault.connect(user1).transfer(user2.address, shares / 4n);
+
+        // user2 queues everything; the ticket pays out after processing
+        const request = await vault.connect(user2).requestRedeem.staticCall(shares / 4n, user2.address, user2.address);
+        await vault.connect(user2).requestRedeem(shares / 4n, user2.address, user2.address);
+        let second = positionOf(await run(), user2);
+        expect(second.shares).to.equal(0n);
+        expect(second.realizedPnl).to.be.closeTo(0n, parseUSDC(1));
+        expect(second.queued).to.be.closeTo(parseUSDC(2500), parseUSDC(1));
+
+        await vault.processWithdrawals(10);
+        await vault.connect(user2).completeWithdrawal(request);
+
+        // user1 queues some and changes their mind, then queues again and claims through redeem
+        await vault.connect(user1).requestRedeem(shares / 4n, user1.address, user1.address);
+        await vault.connect(user1).cancelWithdrawal(request + 1n);
+        await vault.connect(user1).requestRedeem(shares / 4n, user1.address, user1.address);
+        await vault.processWithdrawals(10);
+        await vault.connect(user1).redeem(shares / 4n, user1.address, user1.address);
+
+        const result = await run({ entries: true, account: user1.address });
+        expect(result.entries.map((e) => e.type)).to.deep.equal([
+            "deposit", "transfer-out", "request", "queued", "cancel", "request", "queued", "claim"
+        ]);
+
+        const positions = await run();
+        second = positionOf(positions, user2);
+        expect(second.queued).to.equal(0n);
+        expect(second.withdrawn).to.be.closeTo(parseUSDC(2500), parseUSDC(1));
+
+        const first = positionOf(positions, user1);
+        expect(first.shares).to.equal(await vault.balanceOf(user1.address));
+        expect(first.costBasis).to.be.closeTo(parseUSDC(5000), parseUSDC(1));
+        expect(first.queued).to.equal(0n);
+        expect(first.withdrawn).to.be.closeTo(parseUSDC(2500), parseUSDC(1));
+    });
+
+    it("Should report a block range and export it as CSV", async function () {
+        const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+        await vault.connect(user2).deposit(parseUSDC(2000), user2.address);
+        await vault.connect(user1).transfer(user2.address, await vault.balanceOf(user1.address) / 2n);
+
+        const result = await run({ fromBlock });
+        const first = positionOf(result, user1);
+        expect(first.opening.costBasis).to.equal(parseUSDC(10000));
+        expect(first.costBasis).to.equal(parseUSDC(5000));
+        expect(positionOf(result, user2).opening.shares).to.equal(0n);
+
+        const out = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "ledger-")), "entries.csv");
+        await run({ fromBlock, entries: true, csv: true, json: false, out });
+
+        const [header, ...lines] = fs.readFileSync(out, "utf8").trimEnd().split("\n");
+        expect(header).to.equal("block,time,tx,account,type,shares,assets,cost basis,realized pnl,shares after,cost basis after,queued after");
+        expect(lines.map((line) => line.split(",")[4])).to.deep.equal(["deposit", "transfer-out", "transfer-in"]);
+        expect(lines[1].split(",")[7]).to.equal("-5000.0");
+
+        await expect(run({ fromBlock: 10, toBlock: 5 })).to.be.rejectedWith("is after --to-block");
+    });
+});
@@ -0,0 +1,142 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadManifest } = require("../scripts/lib/manifest");
+const { openDeployment } = require("../scripts/lib/deployments");
+const { deploy } = require("../scripts/deploy");
+
+const { ethers } = hre;
+
+describe("Operator tasks", function () {
+    let contracts, vault, usdc, deployer, user1, log;
+
+    const parseUSDC = (amount) => ethers.parseUnits(amount.toString(), 6);
+
+    // Keep the tasks' output out of the test report
+    const quietly = async (fn) => {
+        console.log = () => {};
+        console.table = () => {};
+        try {
+            return await fn();
+        } finally {
+            console.log = log.log;
+            console.table = log.table;
+        }
+    };
+    const run = (name, args = {}) => quietly(() => hre.run(name, { vault: contracts.vault, ...args }));
+
+    before(function () {
+        log = { log: console.log, table: console.table };
+    });
+
+    beforeEach(async function () {
+        [deployer, user1] = await ethers.getSigners();
+
+        ({ contracts } = await quietly(() => deploy(loadManifest("localhost"), openDeployment(hre))));
+        vault = await ethers.getContractAt("MultiStrategyVault", contracts.vault);
+        usdc = await ethers.getContractAt("MockUSDC", contracts.asset);
+
+        await usdc.mint(user1.address, parseUSDC(10000));
+        await usdc.connect(user1).approve(contracts.vault, parseUSDC(10000));
+        await vault.connect(user1).deposit(parseUSDC(10000), user1.address);
+    });
+
+    it("Should show metrics and current vs target allocation", async function () {
+        await run("vault:rebalance");
+        const status = await run("vault:status", { json: true });
+
+        expect(status.totalAssets).to.equal(await vault.totalAssets());
+        expect(status.strategies.map((s) => s.targetAllocationBps)).to.deep.equal([6000, 4000]);
+        expect(status.strategies[0].currentAllocationBps).to.equal(6000);
+        expect(status.strategies[1].balance).to.equal((await vault.strategies(1)).currentDebt);
+    });
+
+    it("Should preview a rebalance and leave the vault untouched on a dry run", async function () {
+        const moves = await run("vault:rebalance", { preview: true });
+        expect(moves.map((m) => m.strategyId)).to.deep.equal([0, 1]);
+        expect(moves[0].targetDebt).to.equal(moves[0].amount);
+
+        const result = await run("vault:rebalance", { dryRun: true });
+        expect(result.dryRun).to.be.true;
+        expect(result.gasEstimate).to.be.gt(0n);
+        expect(await vault.totalDebt()).to.equal(0n);
+
+        await run("vault:rebalance");
+        expect(await vault.totalDebt()).to.equal(moves[0].amount + moves[1].amount);
+    });
+
+    it("Should preview nothing for a vault that is already balanced", async function () {
+        await run("vault:rebalance");
+
+        expect(await run("vault:rebalance", { preview: true, json: true })).to.deep.equal([]);
+
+        const output = [];
+        console.log = (line) => output.push(line);
+        console.table = (rows) => output.push(rows);
+        try {
+            await hre.run("vault:rebalance", { vault: contracts.vault, preview: true });
+        } finally {
+            console.log = log.log;
+            console.table = log.table;
+        }
+        expect(output).to.deep.equal(["Nothing to rebalance"]);
+    });
+
+    it("Should pause, and name the missing role when a call would revert", async function () {
+        await run("vault:pause");
+        expect(await vault.paused()).to.be.true;
+
+        // DEFAULT_ADMIN_ROLE is with the timelock
+        await expect(run("vault:unpause", { dryRun: true }))
+            .to.be.rejectedWith("Simulation reverted with AccessControlUnauthorizedAccount");
+    });
+
+    it("Should schedule governed calls on the timelock and execute them once ready", async function () {
+        const args = { account: user1.address, viaTimelock: true, timelock: contracts.timelock };
+        const MANAGER_ROLE = await vault.MANAGER_ROLE();
+
+        expect((await run("vault:grant-manager", args)).step).to.equal("schedule");
+        expect((await run("vault:grant-manager", args)).step).to.equal("waiting");
+        expect(await vault.hasRole(MANAGER_ROLE, user1.address)).to.be.false;
+
+        await time.increase(2 * 24 * 60 * 60);
+        expect((await run("vault:grant-manager", args)).step).to.equal("execute");
+        expect(await vault.hasRole(MANAGER_ROLE, user1.address)).to.be.true;
+
+        await expect(run("vault:grant-manager", args)).to.be.rejectedWith("already executed");
+    });
+
+    it("Should lower a strategy's allocation and remove it as the guardian", async function () {
+        await run("vault:rebalance");
+        await run("vault:update-strategy", { id: 0, allocation: 3000 });
+        expect((await vault.strategies(0)).allocationBps).to.equal(3000);
+
+        await run("vault:remove-strategy", { id: 0 });
+        expect((await vault.strategies(0)).isActive).to.be.false;
+    });
+
+    it("Should list queued withdrawals and complete them", async function () {
+        await run("vault:rebalance");
+        const shares = await vault.balanceOf(user1.address);
+        await vault.connect(user1).requestRedeem(shares / 2n, user1.address, user1.address);
+
+        const [request] = await run("vault:withdrawals", { json: true });
+        expect(request.id).to.equal(0);
+        expect(request.owner).to.equal(user1.address);
+        expect(request.status).to.equal("Pending");
+
+        await run("vault:process-withdrawals", { count: 1 });
+        expect((await run("vault:withdrawals", { status: "claimable" })).length).to.equal(1);
+
+        // Only the ticket holder, or an account it approved, can complete
+        await expect(run("vault:complete-withdrawal", { id: 0 })).to.be.rejectedWith("NotTicketHolder");
+
+        const queue = await ethers.getContractAt("WithdrawalQueue", await vault.withdrawalQueue());
+        await queue.connect(user1).approve(deployer.address, 0);
+        const balanceBefore = await usdc.balanceOf(user1.address);
+
+        await run("vault:complete-withdrawal", { id: 0 });
+        expect(await usdc.balanceOf(user1.address)).to.equal(balanceBefore + request.assets);
+        expect(await run("vault:withdrawals")).to.deep.equal([]);
+    });
+});